@@ -1,7 +1,7 @@
 /**
  * Generate .env.example with enhanced auth examples
  */
-function generateEnvExample(config, securitySchemes) {
+function generateEnvExample(config, securitySchemes, tools = [], servers = []) {
     console.log('Generating .env.example file...');
     let authExamples = '';
     if (securitySchemes && Object.keys(securitySchemes).length > 0) {
@@ -17,30 +17,137 @@ function generateEnvExample(config, securitySchemes) {
                 authExamples += `# Example for HTTP Basic Auth "${schemeName}"\n`;
                 authExamples += `${schemeName.toUpperCase()}_USERNAME=YOUR_USERNAME\n`;
                 authExamples += `${schemeName.toUpperCase()}_PASSWORD=YOUR_PASSWORD\n`;
+            } else if (schemeDef.type === 'oauth2' || schemeDef.type === 'openIdConnect') {
+                const prefix = schemeName.toUpperCase();
+                const flows = Object.keys(schemeDef.flows || {});
+                const tokenUrl = schemeDef.type === 'oauth2'
+                    ? Object.values(schemeDef.flows || {}).find(flow => flow.tokenUrl)?.tokenUrl
+                    : 'token_endpoint of the discovery document';
+                authExamples += schemeDef.type === 'oauth2'
+                    ? `# Example for OAuth2 "${schemeName}" (flows: ${flows.join(', ') || 'none'})\n`
+                    : `# Example for OpenID Connect "${schemeName}" (${schemeDef.openIdConnectUrl})\n`;
+                authExamples += `${prefix}_CLIENT_ID=YOUR_CLIENT_ID\n`;
+                authExamples += `${prefix}_CLIENT_SECRET=YOUR_CLIENT_SECRET\n`;
+                authExamples += `# Refresh token (e.g. from an authorizationCode login); used instead of client credentials when set\n`;
+                authExamples += `# ${prefix}_REFRESH_TOKEN=\n`;
+                authExamples += `# Token endpoint override${tokenUrl ? ` (default: ${tokenUrl})` : ''}\n`;
+                authExamples += `# ${prefix}_TOKEN_URL=\n`;
+                authExamples += `# Send client credentials in the form body instead of a Basic header\n`;
+                authExamples += `# ${prefix}_CLIENT_AUTH=post\n`;
+                authExamples += `# Space-separated scopes overriding the ones each operation requires\n`;
+                authExamples += `# ${prefix}_SCOPES=\n`;
+                authExamples += `# Static access token used when neither client credentials nor a refresh token are set\n`;
+                authExamples += `# ${prefix}_ACCESS_TOKEN=\n`;
             }
         }
     }
 
+    if (securitySchemes && Object.keys(securitySchemes).length > 0) {
+        authExamples += `# --- Credential Passthrough (http/sse transports; never logged) ---\n`;
+        authExamples += `# Forward the caller's own credential from this incoming request header instead of the values above\n`;
+        for (const schemeName of Object.keys(securitySchemes)) {
+            authExamples += `# ${schemeName.toUpperCase()}_PASSTHROUGH_HEADER=authorization\n`;
+        }
+    }
+
+    // Header parameters can default from HEADER_* variables; list each header once
+    const headerDefaults = {};
+    for (const tool of tools) {
+        for (const target of Object.values(tool.argumentMap || {})) {
+            if (target.in === 'header' && target.env) {
+                headerDefaults[target.env] = headerDefaults[target.env] || { name: target.name, tools: [] };
+                headerDefaults[target.env].tools.push(tool.name);
+            }
+        }
+    }
+    let headerExamples = '';
+    if (Object.keys(headerDefaults).length > 0) {
+        headerExamples = `# --- Header Parameter Defaults (used when a tool call omits the header) ---\n`;
+        for (const [envVar, { name, tools: toolNames }] of Object.entries(headerDefaults)) {
+            headerExamples += `# "${name}" header of: ${toolNames.join(', ')}\n`;
+            headerExamples += `# ${envVar}=\n`;
+        }
+    }
+
+    const hasFileArguments = tools.some(tool =>
+        Object.values(tool.argumentMap || {}).some(target => target.file));
+    const fileExamples = hasFileArguments
+        ? `# --- File Uploads (file:// URIs are only read from this directory, http(s):// URIs only fetched from these hosts) ---\n# FILE_UPLOAD_DIR=/path/to/uploads\n# FILE_UPLOAD_URL_HOSTS=files.example.com\n`
+        : '';
+
+    // With absolute servers in the spec, API_BASE_URL is only needed to override them
+    const hasAbsoluteServer = servers.some(server => /^[^/?#]*:\/\//.test(server.url));
+    let serverExamples = hasAbsoluteServer
+        ? '# API_BASE_URL=https://api.example.com # overrides the absolute servers below\n'
+        : `API_BASE_URL=https://api.example.com${servers.length > 0 ? ' # origin the relative servers below are resolved against' : ''}\n`;
+    if (servers.length > 1) {
+        serverExamples += `# Server from the spec to call, by index or name\n`;
+        servers.forEach((server, index) => {
+            const label = server.name || server.description;
+            serverExamples += `# ${index}: ${server.url}${label ? ` (${label})` : ''}\n`;
+        });
+        serverExamples += `API_SERVER=0\n`;
+    }
+
+    // Server variables, including those of operation-level servers; list each variable once
+    const variables = {};
+    for (const server of [...servers, ...tools.flatMap(tool => tool.servers || [])]) {
+        for (const [name, variable] of Object.entries(server.variables || {})) {
+            variables[variable.env] = variables[variable.env] || { name, ...variable };
+        }
+    }
+    for (const [envVar, variable] of Object.entries(variables)) {
+        const allowed = variable.enum ? ` (one of: ${variable.enum.join(', ')})` : '';
+        serverExamples += `# {${variable.name}} server variable${variable.description ? `: ${variable.description}` : ''}${allowed}\n`;
+        serverExamples += `${envVar}=${variable.default}\n`;
+    }
+
     return `# API Configuration
-API_BASE_URL=https://api.example.com
-API_HEADERS= # (Less common now, use specific auth env vars below instead)
+${serverExamples}API_HEADERS= # (Less common now, use specific auth env vars below instead)
 
 # Server Configuration
 SERVER_NAME=${config.name}
 SERVER_VERSION=${config.version}
-TRANSPORT=stdio # Fixed to stdio
+# Transport: stdio, http (Streamable HTTP on /mcp) or sse (legacy SSE on /sse)
+TRANSPORT=${config.transport}
+# Listener for the http and sse transports (HOST defaults to 127.0.0.1, the Docker image uses 0.0.0.0)
+PORT=${config.port}
+# HOST=127.0.0.1
+# Comma-separated browser origins allowed to connect ("*" for any); localhost is always allowed
+ALLOWED_ORIGINS=
+
+# Request policy (per operation: x-mcp-request-policy in the spec)
+# REQUEST_TIMEOUT_MS=${config.requestPolicy.timeoutMs}
+# REQUEST_RETRIES=${config.requestPolicy.retries}
+# RETRY_BASE_DELAY_MS=${config.requestPolicy.retryBaseDelayMs}
+# RETRY_MAX_DELAY_MS=${config.requestPolicy.retryMaxDelayMs}
+# Upstream requests per second across all tools (0: unlimited) and the burst allowed on top
+# RATE_LIMIT_RPS=${config.requestPolicy.rateLimit}
+# RATE_LIMIT_BURST=${config.requestPolicy.burst}
+
+# Tool results: text is cut to a byte or token budget (0: unlimited), binaries above MAX_BINARY_BYTES are omitted
+# MAX_RESPONSE_BYTES=100000
+# MAX_RESPONSE_TOKENS=0
+# MAX_BINARY_BYTES=5242880
+# JSON results: compact or pretty
+# JSON_FORMAT=compact
+
+# Most pages a paginated tool follows in one call (maxPages is capped at this)
+# PAGINATION_MAX_PAGES=10
 
 # Debug
 DEBUG=false
 
 ${authExamples}
+${headerExamples}
+${fileExamples}
 `;
 }
 
 /**
  * Generate README.md with enhanced auth instructions
  */
-function generateReadme(config, spec, tools, hasSecuritySchemes) {
+function generateReadme(config, spec, tools, hasSecuritySchemes, servers = []) {
     console.log('Generating README.md file...');
     const readme = `# ${config.name}
 
@@ -70,10 +177,15 @@ cp .env.example .env
 
 The following environment variables can be configured in the \`.env\` file:
 
-- \`API_BASE_URL\`: Base URL for the API (required)
-- \`SERVER_NAME\`: Name of the MCP server (default: "${config.name}")
+- \`API_BASE_URL\`: Base URL for the API; overrides the absolute servers of the OpenAPI spec (not absolute operation-level \`servers\`) and completes relative ones such as \`/api/v3\` with the API's origin${servers.some(server => /^[^/?#]*:\/\//.test(server.url)) ? '' : ' (required)'}
+${servers.length > 0 ? `- \`API_SERVER\`: Server from the spec to call, by index or name (default: the first one)
+- \`API_SERVER_<VARIABLE>\`: Value of a server variable such as \`{region}\` (default: the variable's default, checked against its enum)
+` : ''}- \`SERVER_NAME\`: Name of the MCP server (default: "${config.name}")
 - \`SERVER_VERSION\`: Version of the MCP server (default: "${config.version}")
 - \`DEBUG\`: Enable debug logging (true/false) (default: false)
+- \`FILE_UPLOAD_DIR\`: Directory that \`file://\` URIs passed to file upload arguments may be read from (unset: \`file://\` URIs are rejected)
+- \`FILE_UPLOAD_URL_HOSTS\`: Comma-separated hosts that \`http(s)://\` URIs passed to file upload arguments may be fetched from (unset: \`http(s)://\` URIs are rejected)
+- \`HEADER_<NAME>\`: Default value for a header parameter, used when a tool call does not pass it (e.g. \`HEADER_X_REQUEST_ID\` for \`X-Request-Id\`)
 
 ${hasSecuritySchemes ? `
 ### Authorization Configuration
@@ -88,12 +200,19 @@ ${Object.entries(spec.components?.securitySchemes || {}).map(([schemeName, schem
             configDetails = `- **${schemeName} (HTTP Bearer)**: Set environment variable \`${schemeName.toUpperCase()}_BEARERTOKEN\` with your Bearer token. The token will be sent in the \`Authorization\` header.`;
         } else if (schemeDef.type === 'http' && schemeDef.scheme === 'basic') {
             configDetails = `- **${schemeName} (HTTP Basic)**: Set environment variables \`${schemeName.toUpperCase()}_USERNAME\` and \`${schemeName.toUpperCase()}_PASSWORD\` with your credentials. These will be encoded and sent in the \`Authorization\` header.`;
+        } else if (schemeDef.type === 'oauth2' || schemeDef.type === 'openIdConnect') {
+            const prefix = schemeName.toUpperCase();
+            configDetails = `- **${schemeName} (${schemeDef.type === 'oauth2' ? 'OAuth2' : 'OpenID Connect'})**: Set \`${prefix}_CLIENT_ID\` and \`${prefix}_CLIENT_SECRET\` for the client-credentials grant, or \`${prefix}_REFRESH_TOKEN\` (plus the client credentials your provider requires) for the refresh-token grant. Tokens are requested with the scopes each operation requires, cached and renewed before they expire, and sent as a Bearer token; a token the API answers with 401 is dropped and fetched again once. \`${prefix}_TOKEN_URL\`, \`${prefix}_SCOPES\`, \`${prefix}_CLIENT_AUTH=post\` and a static \`${prefix}_ACCESS_TOKEN\` are optional.`;
         } else {
             configDetails = `- **${schemeName} (${schemeDef.type})**: Configuration details for this scheme type are not fully described in this template. Refer to the OpenAPI specification and update \`.env.example\` and server code manually if needed.`;
         }
         return configDetails;
     }).join('\n\n')}
 
+#### Credential Passthrough
+
+When the server runs on the \`http\` or \`sse\` transport, each security scheme can forward the caller's own credential instead of the configured one. Set \`<SCHEME>_PASSTHROUGH_HEADER\` to the incoming request header that carries it (e.g. \`BEARERAUTH_PASSTHROUGH_HEADER=authorization\`); the value is sent where the scheme expects it and is never logged. Calls without that header are sent without credentials for the scheme. The header is also allowed in CORS preflight responses, so browser clients from \`ALLOWED_ORIGINS\` can send it.
+
 `: ''}
 
 ## Usage
@@ -110,6 +229,42 @@ npm start
 npm run start:ts
 \`\`\`
 
+### Request Policy
+
+Every upstream request times out after \`REQUEST_TIMEOUT_MS\` (default \`${config.requestPolicy.timeoutMs}\`). Timeouts, connection failures and 408, 429 and 5xx answers are retried up to \`REQUEST_RETRIES\` times (default \`${config.requestPolicy.retries}\`) with exponential backoff between \`RETRY_BASE_DELAY_MS\` and \`RETRY_MAX_DELAY_MS\`; a \`Retry-After\` header sets the wait instead, and a longer one than the cap ends the retries. Only idempotent tools are retried, apart from 429 answers. \`RATE_LIMIT_RPS\` (default \`${config.requestPolicy.rateLimit}\`, unlimited when 0) caps the request rate across all tools, with bursts of up to \`RATE_LIMIT_BURST\`.
+
+An operation can override these settings with \`x-mcp-request-policy\` in the OpenAPI spec, using the keys \`timeoutMs\`, \`retries\`, \`retryBaseDelayMs\`, \`retryMaxDelayMs\`, \`rateLimit\` and \`burst\`; its own rate limit applies on top of the global one.
+
+### Tool Results
+
+Results follow the response's \`Content-Type\`: images come back as MCP \`image\` content, audio as \`audio\` content, and other binaries (PDFs, archives, ...) as embedded resources; binaries larger than \`MAX_BINARY_BYTES\` are described instead. JSON and text are returned as text, compact unless \`JSON_FORMAT=pretty\`, and kept within \`MAX_RESPONSE_BYTES\` (default 100000) or \`MAX_RESPONSE_TOKENS\` (about 4 bytes per token), followed by a \`[truncated: ...]\` marker when cut. JSON results are shortened by dropping items from the end of their list, and \`structuredContent\` carries the same shortened result. Results that cannot be shortened that way are cut as text; tools with an output schema then return an empty \`structuredContent\` object, as they do for bodies that are not JSON, which their output schemas accept since they require no field.
+
+### Response Projection
+
+Tools with JSON responses accept two optional arguments that shrink the result before it reaches the model: \`fields\`, a list of dot paths to keep (e.g. \`["id", "owner.login"]\`, applied to each item of arrays), and \`filter\`, a [JMESPath](https://jmespath.org/) expression. The filter runs first. Tools that already have a \`fields\` or \`filter\` parameter name them \`response_fields\` or \`response_filter\`. Tool descriptions list the top-level response fields. \`structuredContent\` is projected too: the output schemas of these tools mark no field as required, and the result of a \`filter\` is returned as \`{ "filtered": ... }\`.
+
+${tools.some(tool => tool.pagination) ? `### Pagination
+
+List tools whose pagination was detected (\`Link\` headers, next page URLs, cursor, offset or page parameters) accept \`maxPages\` and \`maxItems\`. When either is set, the server follows the next pages on the same origin and merges their items into one result, up to \`PAGINATION_MAX_PAGES\` pages (default 10); without them only the requested page is fetched. When \`maxItems\` cuts the last page short, its next cursor or link is left out of the result, as it would skip the items that were cut. Paginated tools: ${tools.filter(tool => tool.pagination).map(tool => `\`${tool.name}\``).join(', ')}.
+
+` : ''}${servers.length > 0 ? `### Servers
+
+Requests go to the servers listed in the OpenAPI spec unless \`API_BASE_URL\` is set; relative server URLs are resolved against \`API_BASE_URL\`:
+
+${servers.map((server, index) => `${index}. \`${server.url}\`${server.name || server.description ? ` - ${server.name || server.description}` : ''}`).join('\n')}
+
+Operations that declare their own \`servers\` use the first of them, or the one whose name matches \`API_SERVER\`; \`API_BASE_URL\` only completes them when they are relative.
+
+` : ''}### Transports
+
+The server runs on \`${config.transport}\` by default; set \`TRANSPORT\` in \`.env\` to switch:
+
+- \`stdio\`: the client spawns the server and talks over stdin/stdout
+- \`http\`: Streamable HTTP on \`http://HOST:PORT/mcp\` with one session per client (\`Mcp-Session-Id\`)
+- \`sse\`: legacy HTTP+SSE, \`GET /sse\` opens the event stream and requests are posted to \`/messages\`
+
+HTTP transports listen on \`HOST\`:\`PORT\` (default \`127.0.0.1:${config.port}\`), serve \`GET /health\`, and only accept browser requests from localhost or the origins listed in \`ALLOWED_ORIGINS\`.
+
 ### Building the TypeScript Version
 
 \`\`\`bash
@@ -160,7 +315,7 @@ ${tools.map(tool => `### ${tool.name}
 
 ${Object.keys(tool.inputSchema.properties).length > 0 ? '**Parameters**:\n\n' +
             Object.entries(tool.inputSchema.properties).map(([name, prop]) =>
-                `- \`${name}\`: ${prop.description || name} ${tool.inputSchema.required?.includes(name) ? '(required)' : ''}`
+                `- \`${name}\`${tool.argumentMap?.[name] ? ` (${tool.argumentMap[name].in})` : ''}: ${prop.description || name} ${tool.inputSchema.required?.includes(name) ? '(required)' : ''}`
             ).join('\n') : 'No parameters required.'}`).join('\n\n')}
 
 ## License
@@ -187,22 +342,64 @@ function generatePackageJson(config, spec) {
             "start:ts": "npx tsc && node dist/server.js"
         },
         dependencies: {
-            '@modelcontextprotocol/sdk': '^1.0.0',
+            '@modelcontextprotocol/sdk': '^1.13.0',
+            'ajv': '^8.12.0',
+            'ajv-formats': '^3.0.1',
+            'jmespath': '^0.16.0',
             'axios': '^1.6.0',
             'dotenv': '^16.0.0',
         },
         devDependencies: {
+            '@types/jmespath': '^0.15.2',
             '@types/node': '^20.11.0',
             'typescript': '^5.3.3'
         },
         engines: {
-            'node': '>=16.0.0'
+            // Global FormData/Blob are needed for multipart uploads
+            'node': '>=18.0.0'
         }
     };
 
     return JSON.stringify(packageJson, null, 2);
 }
 
+/**
+ * Map a JSON Schema to a TypeScript type expression for types.d.ts
+ */
+function schemaToTsType(schema, depth = 0) {
+    if (!schema || typeof schema !== 'object' || depth > 4) return 'any';
+    if (schema.const !== undefined) return JSON.stringify(schema.const);
+    if (Array.isArray(schema.enum)) return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+    if (schema.oneOf || schema.anyOf) {
+        return (schema.oneOf || schema.anyOf).map(member => schemaToTsType(member, depth + 1)).join(' | ');
+    }
+    if (Array.isArray(schema.type)) {
+        return schema.type.map(type => schemaToTsType({ ...schema, type }, depth + 1)).join(' | ');
+    }
+    switch (schema.type) {
+        case 'integer':
+        case 'number':
+            return 'number';
+        case 'string':
+            return 'string';
+        case 'boolean':
+            return 'boolean';
+        case 'null':
+            return 'null';
+        case 'array':
+            return `Array<${schemaToTsType(schema.items, depth + 1)}>`;
+        case 'object':
+            if (schema.properties) {
+                const members = Object.entries(schema.properties).map(([name, prop]) =>
+                    `${JSON.stringify(name)}${schema.required?.includes(name) ? '' : '?'}: ${schemaToTsType(prop, depth + 1)}`);
+                return `{ ${members.join('; ')} }`;
+            }
+            return 'Record<string, any>';
+        default:
+            return 'any';
+    }
+}
+
 /**
  * Generate a TypeScript declaration file
  */
@@ -223,7 +420,7 @@ ${Object.entries(tool.inputSchema.properties).map(([name, prop]) =>
         `      /**
        * ${prop.description || name}
        */
-      ${name}${tool.inputSchema.required?.includes(name) ? '' : '?'}: ${prop.type === 'integer' ? 'number' : prop.type};`
+      ${JSON.stringify(name)}${tool.inputSchema.required?.includes(name) ? '' : '?'}: ${schemaToTsType(prop)};`
     ).join('\n')}
     };
     response: any; // Response structure will depend on the API
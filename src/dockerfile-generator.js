@@ -1,5 +1,13 @@
-function generateDockerFiles(){
+function generateDockerFiles(config = {}){
     console.log('Generating Dockerfile file...');
+    // HTTP transports listen on all interfaces inside the container
+    const httpSetup = config.transport === 'http' || config.transport === 'sse'
+        ? `ENV TRANSPORT=${config.transport} PORT=${config.port} HOST=0.0.0.0
+
+EXPOSE ${config.port}
+
+`
+        : '';
     const dockerfile = `FROM node:18-alpine
 
 WORKDIR /app
@@ -10,7 +18,7 @@ RUN npm install
 
 COPY . .
 
-CMD [ "node", "server.js", "run"]
+${httpSetup}CMD [ "node", "server.js", "run"]
 `
     const dockerIgnorefile = `node_modules
 npm-debug.log
@@ -21,7 +21,7 @@ import {
     generateBuildScript
 } from './config-generator.js';
 import { copyTemplateFile } from './file-utils.js';
-import { generateServerConf, generateDockerServerConf } from './utils.js';
+import { generateServerConf, generateDockerServerConf, generateHttpServerConf } from './utils.js';
 
 // Get proper paths for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -29,6 +29,17 @@ const __dirname = path.dirname(__filename);
 
 console.log('Script started');
 
+// Transports the generated server can run on
+const TRANSPORTS = ['stdio', 'http', 'sse'];
+
+/**
+ * Parse a comma-separated option; repeated options are merged
+ */
+function parseList(value) {
+    if (value === undefined) return [];
+    return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
 /**
  * Main function to drive the entire process
  */
@@ -38,8 +49,13 @@ async function main() {
 
         // Parse command-line arguments with minimist
         const argv = minimist(process.argv.slice(2), {
-            string: ['openapi', 'output', 'name', 'version', 'transport'],
-            number: ['port'],
+            string: [
+                'openapi', 'output', 'name', 'version', 'transport', 'tool-name-case',
+                'include-tags', 'exclude-tags', 'include-paths', 'exclude-paths',
+                'include-methods', 'exclude-methods', 'include-operations', 'exclude-operations'
+            ],
+            boolean: ['exclude-deprecated'],
+            number: ['port', 'tool-name-max-length', 'timeout', 'retries', 'rate-limit'],
             alias: {
                 o: 'openapi',
                 d: 'output',
@@ -55,7 +71,12 @@ async function main() {
                 version: '1.0.0',
                 transport: 'stdio',
                 port: 3000,
-                verbose: false
+                verbose: false,
+                'tool-name-case': 'preserve',
+                'tool-name-max-length': 64,
+                timeout: 30000,
+                retries: 2,
+                'rate-limit': 0
             }
         });
 
@@ -74,14 +95,57 @@ async function main() {
             version: argv.version,
             transport: argv.transport,
             port: argv.port,
-            verbose: argv.verbose
+            verbose: argv.verbose,
+            toolNameCase: argv['tool-name-case'],
+            toolNameMaxLength: argv['tool-name-max-length'],
+            // Defaults of the generated runtime's request policy; each can be overridden per tool and from the environment
+            requestPolicy: {
+                timeoutMs: argv.timeout,
+                retries: argv.retries,
+                retryBaseDelayMs: 500,
+                retryMaxDelayMs: 30000,
+                rateLimit: argv['rate-limit'],
+                burst: 0
+            },
+            filter: {
+                includeTags: parseList(argv['include-tags']),
+                excludeTags: parseList(argv['exclude-tags']),
+                includePaths: parseList(argv['include-paths']),
+                excludePaths: parseList(argv['exclude-paths']),
+                includeMethods: parseList(argv['include-methods']),
+                excludeMethods: parseList(argv['exclude-methods']),
+                includeOperations: parseList(argv['include-operations']),
+                excludeOperations: parseList(argv['exclude-operations']),
+                excludeDeprecated: argv['exclude-deprecated']
+            }
         };
 
+        if (!TRANSPORTS.includes(config.transport)) {
+            console.error(`Error: Unknown transport "${config.transport}", expected one of: ${TRANSPORTS.join(', ')}`);
+            process.exit(1);
+        }
+
+        // operationId patterns are regular expressions
+        const operationPatterns = {
+            '--include-operations': config.filter.includeOperations,
+            '--exclude-operations': config.filter.excludeOperations
+        };
+        for (const [option, patterns] of Object.entries(operationPatterns)) {
+            for (const pattern of patterns) {
+                try {
+                    new RegExp(pattern);
+                } catch (error) {
+                    console.error(`Error: Invalid ${option} pattern "${pattern}": ${error.message}`);
+                    process.exit(1);
+                }
+            }
+        }
+
         console.log(`Configuration:`);
         console.log(`- OpenAPI Spec: ${config.openApiSpec}`);
         console.log(`- Output Directory: ${config.outputDir}`);
         console.log(`- Server Name: ${config.name}`);
-        console.log(`- Transport: ${config.transport}`);
+        console.log(`- Transport: ${config.transport}${config.transport === 'stdio' ? '' : ` (port ${config.port})`}`);
 
         // Load OpenAPI spec
         const spec = await loadOpenAPISpec(config.openApiSpec, config.verbose);
@@ -96,7 +160,7 @@ async function main() {
         }
 
         // Generate tools from spec
-        const { tools, toolMap, securitySchemes } = generateTools(spec, config.verbose);
+        const { tools, toolMap, securitySchemes, servers } = generateTools(spec, config.verbose, config);
         const hasSecuritySchemes = Object.keys(securitySchemes).length > 0;
 
 
@@ -112,15 +176,15 @@ async function main() {
 
         // Generate all the files
         console.log("Generating server files...");
-        const serverCode = generateServerFile(config, spec, toolMap, securitySchemes);
-        const serverTSCode = generateServerTS(config, spec, toolMap, securitySchemes);
+        const serverCode = generateServerFile(config, spec, toolMap, securitySchemes, servers);
+        const serverTSCode = generateServerTS(config, spec, toolMap, securitySchemes, servers);
         const packageJson = generatePackageJson(config, spec);
-        const readme = generateReadme(config, spec, tools, hasSecuritySchemes);
-        const envExample = generateEnvExample(config, securitySchemes);
+        const readme = generateReadme(config, spec, tools, hasSecuritySchemes, servers);
+        const envExample = generateEnvExample(config, securitySchemes, tools, servers);
         const typeDefinitions = generateTypeDefinitions(tools);
         const tsConfig = generateTsConfig();
         const buildScript = generateBuildScript();
-        const [dockerfile, dockerIgnoreFile] = generateDockerFiles()
+        const [dockerfile, dockerIgnoreFile] = generateDockerFiles(config)
         
 
         // Write all files
@@ -141,9 +205,10 @@ async function main() {
         // Configuration for MCP server for client
         const serverName = path.basename(config.outputDir)
         const absolutePath = path.resolve(config.outputDir);
-        const serverConfig = await generateServerConf(absolutePath)
+        const isHttp = config.transport !== 'stdio';
+        const serverConfig = isHttp ? generateHttpServerConf(config.transport, config.port) : await generateServerConf(absolutePath)
         const fullConfig = { mcpServers: { [serverName]: serverConfig } };
-        const serverConfigDocker = await generateDockerServerConf(serverName)
+        const serverConfigDocker = isHttp ? generateHttpServerConf(config.transport, config.port) : await generateDockerServerConf(serverName)
         const fullConfigDocker = { mcpServers: { [serverName]: serverConfigDocker } };
         const success = results.every(Boolean);
 
@@ -166,6 +231,9 @@ async function main() {
             console.log('2. cp .env.example .env (and edit with your API details)');
             console.log(`3. docker build -t ${serverName} .`);
             console.log(`4. tag and push to repositroy if you want`);
+            if (isHttp) {
+                console.log(`   Run it with: docker run -p ${config.port}:${config.port} --env-file .env ${serverName}`);
+            }
             console.log('5. Config the client:')
             console.log(
                 `   To add the MCP server manually, add the following config to your MCP config-file:\n\n${chalk.yellow(JSON.stringify(fullConfigDocker, null, 2))}`)
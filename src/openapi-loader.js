@@ -2,40 +2,379 @@ import fs from 'fs';
 import { readFile } from 'fs/promises';
 import path from 'path';
 import axios from 'axios';
+import YAML from 'yaml';
+
+import { convertSwagger2, convertSwagger2Component } from './swagger-converter.js';
+import { parseJsonPointer, resolvePointer, toJsonPointer } from './utils.js';
 
 /**
- * Load OpenAPI specification from file or URL
+ * Work out whether a spec document is JSON or YAML.
+ * Explicit hints (file extension, Content-Type) win, otherwise the content is sniffed.
  */
-async function loadOpenAPISpec(specPath, verbose = false) {
+function detectSpecFormat(content, { extension, contentType } = {}) {
+    const ext = (extension || '').toLowerCase();
+    if (ext === '.yaml' || ext === '.yml') return 'yaml';
+    if (ext === '.json') return 'json';
+
+    const type = (contentType || '').toLowerCase();
+    if (type.includes('yaml') || type.includes('yml')) return 'yaml';
+    if (type.includes('json')) return 'json';
+
+    // JSON documents always start with an object or array
+    const firstChar = content.trimStart().charAt(0);
+    return firstChar === '{' || firstChar === '[' ? 'json' : 'yaml';
+}
+
+/**
+ * Convert a character offset into a 1-based line/column pair
+ */
+function offsetToLinePos(content, offset) {
+    const before = content.slice(0, offset);
+    const lines = before.split('\n');
+    return { line: lines.length, col: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Parse JSON, reporting syntax errors with line/column
+ */
+function parseJSON(content, source) {
+    try {
+        return JSON.parse(content);
+    } catch (parseError) {
+        const match = parseError.message.match(/position (\d+)/);
+        const location = match ? offsetToLinePos(content, Number(match[1])) : null;
+        const where = location ? `${source}:${location.line}:${location.col}` : source;
+        throw new Error(`Failed to parse JSON from ${where}: ${parseError.message}`);
+    }
+}
+
+// Cap on YAML alias expansion. Large specs reuse anchors far more than the yaml default of 100
+// allows, but a cap still stops "billion laughs" documents before they exhaust memory.
+const YAML_MAX_ALIAS_COUNT = 10000;
+
+/**
+ * Find the alias at which doc.toJS() gives up, replaying its count: each use of an anchor
+ * costs the largest expansion nested in the anchored node (1 for a plain scalar).
+ */
+function findExcessiveAlias(doc, maxAliasCount) {
+    const anchors = new Map();
+    const expansion = node => {
+        if (YAML.isAlias(node)) {
+            const data = anchors.get(node.resolve(doc));
+            return data ? data.count * data.aliasCount : 0;
+        }
+        if (YAML.isCollection(node)) return Math.max(0, ...node.items.map(expansion));
+        if (YAML.isPair(node)) return Math.max(expansion(node.key), expansion(node.value));
+        return 1;
+    };
+
+    let excessive;
+    YAML.visit(doc, {
+        Alias(_, alias) {
+            const source = alias.resolve(doc);
+            if (!source) return undefined;
+            const data = anchors.get(source) || { count: 0, aliasCount: 0 };
+            anchors.set(source, data);
+            data.count += 1;
+            if (data.aliasCount === 0) data.aliasCount = expansion(source);
+            if (data.count * data.aliasCount > maxAliasCount) {
+                excessive = alias;
+                return YAML.visit.BREAK;
+            }
+            return undefined;
+        }
+    });
+    return excessive;
+}
+
+/**
+ * Parse YAML, reporting every syntax error with line/column
+ */
+function parseYAML(content, source) {
+    const doc = YAML.parseDocument(content);
+    if (doc.errors.length > 0) {
+        const diagnostics = doc.errors.map(error => {
+            const [start] = error.linePos || [];
+            const where = start ? `${source}:${start.line}:${start.col}` : source;
+            return `  ${where} ${error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')}`;
+        });
+        throw new Error(`Failed to parse YAML from ${source}:\n${diagnostics.join('\n')}`);
+    }
     try {
-        if (specPath.startsWith('http')) {
-            // Load from URL
-            console.log(`Loading OpenAPI spec from URL: ${specPath}`);
-            const response = await axios.get(specPath);
+        return doc.toJS({ maxAliasCount: YAML_MAX_ALIAS_COUNT });
+    } catch (error) {
+        const alias = /alias count/i.test(error.message) && findExcessiveAlias(doc, YAML_MAX_ALIAS_COUNT);
+        if (!alias) throw error;
+        const location = offsetToLinePos(content, alias.range[0]);
+        throw new Error(`Failed to parse YAML from ${source}:${location.line}:${location.col}: alias *${alias.source} expands the document past ${YAML_MAX_ALIAS_COUNT} nodes`);
+    }
+}
+
+/**
+ * Parse spec content as JSON or YAML
+ */
+function parseSpecContent(content, source, hints = {}) {
+    const format = detectSpecFormat(content, hints);
+    return format === 'json' ? parseJSON(content, source) : parseYAML(content, source);
+}
+
+/**
+ * Whether a parsed document is Swagger 2.0
+ */
+function isSwagger2(spec) {
+    return typeof spec.swagger === 'string' && spec.swagger.startsWith('2.');
+}
+
+/**
+ * Bring the document to the OpenAPI 3.x shape the generators expect
+ */
+function normalizeSpec(spec, verbose = false) {
+    if (isSwagger2(spec)) {
+        console.log(`Converting Swagger ${spec.swagger} document to OpenAPI 3.0`);
+        const converted = convertSwagger2(spec);
+        if (verbose) {
+            console.log(`Converted ${Object.keys(converted.components.schemas || {}).length} definitions and ${Object.keys(converted.components.securitySchemes || {}).length} security definitions`);
+        }
+        return converted;
+    }
+    return spec;
+}
+
+/**
+ * Read and parse a single JSON/YAML document from a file path or URL
+ */
+async function loadDocument(location) {
+    if (isUrl(location)) {
+        const response = await axios.get(location, { responseType: 'text', transformResponse: data => data });
+        return parseSpecContent(response.data, location, {
+            extension: path.extname(new URL(location).pathname),
+            contentType: response.headers['content-type']
+        });
+    }
+
+    if (!fs.existsSync(location)) {
+        throw new Error(`File not found: ${location}`);
+    }
+    const content = await readFile(location, 'utf-8');
+    return parseSpecContent(content, location, { extension: path.extname(location) });
+}
+
+function isUrl(location) {
+    return /^https?:\/\//i.test(location);
+}
+
+/**
+ * Resolve the document part of a $ref relative to the document it appears in
+ */
+function resolveLocation(reference, baseLocation) {
+    if (isUrl(reference)) {
+        return reference;
+    }
+    if (isUrl(baseLocation)) {
+        return new URL(reference, baseLocation).href;
+    }
+    return path.resolve(path.dirname(baseLocation), decodeURI(reference));
+}
+
+// Schema keywords: anything below them is a schema, whatever the key is called
+const SCHEMA_CONTEXT_KEYS = new Set([
+    'schema', 'schemas', 'properties', 'items', 'allOf', 'oneOf', 'anyOf', 'not',
+    'additionalProperties', 'patternProperties', 'prefixItems', '$defs', 'definitions'
+]);
+
+// Where the parent of a $ref lives -> components section it belongs in
+const COMPONENT_CONTEXTS = {
+    parameters: 'parameters',
+    responses: 'responses',
+    headers: 'headers',
+    examples: 'examples',
+    links: 'links',
+    callbacks: 'callbacks',
+    securitySchemes: 'securitySchemes',
+    requestBodies: 'requestBodies',
+    pathItems: 'pathItems'
+};
+
+// Swagger 2.0 sections used by external fragments
+const LEGACY_SECTIONS = { definitions: 'schemas', parameters: 'parameters', responses: 'responses' };
+
+/**
+ * Pick the components section an external $ref should be bundled into
+ */
+function inferComponentType(fragmentSegments, logicalPath) {
+    if (fragmentSegments[0] === 'components' && fragmentSegments.length >= 3) {
+        return fragmentSegments[1];
+    }
+    if (fragmentSegments.length === 2 && LEGACY_SECTIONS[fragmentSegments[0]]) {
+        return LEGACY_SECTIONS[fragmentSegments[0]];
+    }
+    if (logicalPath.some(segment => SCHEMA_CONTEXT_KEYS.has(segment))) {
+        return 'schemas';
+    }
+    if (logicalPath[logicalPath.length - 1] === 'requestBody') {
+        return 'requestBodies';
+    }
+    const parentKey = logicalPath[logicalPath.length - 2];
+    return COMPONENT_CONTEXTS[parentKey] || 'schemas';
+}
+
+/**
+ * Bundle every external $ref (other files, remote URLs) into the root document's
+ * components and check that every local $ref resolves. Internal refs are kept,
+ * so recursive schemas stay finite. `convertComponent(type, component)`, when given,
+ * brings each bundled component to the root's OpenAPI 3 shape.
+ */
+async function bundleSpec(spec, baseLocation, verbose = false, convertComponent = null) {
+    const documents = new Map([[baseLocation, spec]]);
+    const bundled = new Map();
+    const visited = new WeakSet();
+    const errors = [];
+
+    spec.components = spec.components || {};
+
+    async function getDocument(location) {
+        if (!documents.has(location)) {
             if (verbose) {
-                console.log(`Successfully loaded OpenAPI spec from URL (${Object.keys(response.data).length} keys in spec)`);
+                console.log(`Loading referenced document: ${location}`);
             }
-            return response.data;
-        } else {
-            // Load from local file
-            const resolvedPath = path.resolve(specPath);
-            console.log(`Loading OpenAPI spec from file: ${resolvedPath}`);
-
-            if (!fs.existsSync(resolvedPath)) {
-                throw new Error(`File not found: ${resolvedPath}`);
+            documents.set(location, loadDocument(location));
+        }
+        return documents.get(location);
+    }
+
+    function uniqueComponentName(type, candidate) {
+        const section = spec.components[type] = spec.components[type] || {};
+        const base = candidate.replace(/[^a-zA-Z0-9._-]/g, '_') || type;
+        let name = base;
+        for (let i = 2; name in section; i++) {
+            name = `${base}_${i}`;
+        }
+        return name;
+    }
+
+    async function resolveReference(ref, docLocation, docPath, logicalPath) {
+        const hashIndex = ref.indexOf('#');
+        const documentPart = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+        const fragment = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+        const targetLocation = documentPart ? resolveLocation(documentPart, docLocation) : docLocation;
+        const where = `${docLocation}${toJsonPointer(docPath)}`;
+
+        if (targetLocation === baseLocation) {
+            if (resolvePointer(spec, `#${fragment}`) === undefined) {
+                errors.push(`Unresolvable $ref "${ref}" at ${where}: no such location in the document`);
+            }
+            return `#${fragment}`;
+        }
+
+        const key = `${targetLocation}#${fragment}`;
+        if (bundled.has(key)) {
+            return bundled.get(key);
+        }
+
+        let document;
+        try {
+            document = await getDocument(targetLocation);
+        } catch (error) {
+            errors.push(`Unresolvable $ref "${ref}" at ${where}: ${error.message}`);
+            return ref;
+        }
+
+        const target = resolvePointer(document, `#${fragment}`);
+        if (target === undefined) {
+            errors.push(`Unresolvable $ref "${ref}" at ${where}: ${targetLocation} has no "#${fragment}"`);
+            return ref;
+        }
+
+        const fragmentSegments = parseJsonPointer(fragment);
+        const type = inferComponentType(fragmentSegments, logicalPath);
+        const candidate = fragmentSegments.length > 0
+            ? fragmentSegments[fragmentSegments.length - 1]
+            : path.basename(targetLocation).replace(/\.(ya?ml|json)$/i, '');
+        const name = uniqueComponentName(type, candidate);
+        const localRef = toJsonPointer(['components', type, name]);
+        bundled.set(key, localRef);
+
+        // Register before walking the copy so refs back to it (cycles) reuse the same name
+        // Parsed documents are plain JSON data; structuredClone is not available on Node 16
+        const copy = JSON.parse(JSON.stringify(target));
+        spec.components[type][name] = copy;
+        await visit(copy, targetLocation, fragmentSegments, ['components', type, name]);
+        // Convert once its refs point into the root, so the 2.0 ref rewriting leaves them alone
+        if (convertComponent) {
+            spec.components[type][name] = convertComponent(type, copy);
+        }
+        return localRef;
+    }
+
+    async function visit(node, docLocation, docPath, logicalPath) {
+        if (!node || typeof node !== 'object' || visited.has(node)) {
+            return;
+        }
+        visited.add(node);
+
+        if (Array.isArray(node)) {
+            for (let i = 0; i < node.length; i++) {
+                await visit(node[i], docLocation, [...docPath, i], [...logicalPath, String(i)]);
             }
+            return;
+        }
+
+        if (typeof node.$ref === 'string') {
+            node.$ref = await resolveReference(node.$ref, docLocation, docPath, logicalPath);
+        }
 
-            const content = await readFile(resolvedPath, 'utf-8');
-            try {
-                const parsed = JSON.parse(content);
-                if (verbose) {
-                    console.log(`Successfully loaded OpenAPI spec from file (${Object.keys(parsed).length} keys in spec)`);
+        for (const [key, value] of Object.entries(node)) {
+            // Literal values and vendor extensions never hold refs
+            if (key === '$ref' || key === 'example' || key === 'enum' || key === 'default' || key === 'const' || key.startsWith('x-')) {
+                continue;
+            }
+            if (key === 'mapping' && logicalPath[logicalPath.length - 1] === 'discriminator') {
+                for (const [mappingKey, mappingRef] of Object.entries(value || {})) {
+                    if (typeof mappingRef === 'string' && /[#/]/.test(mappingRef)) {
+                        value[mappingKey] = await resolveReference(mappingRef, docLocation, [...docPath, key, mappingKey], ['components', 'schemas']);
+                    }
                 }
-                return parsed;
-            } catch (parseError) {
-                throw new Error(`Failed to parse JSON from ${resolvedPath}: ${parseError.message}`);
+                continue;
             }
+            await visit(value, docLocation, [...docPath, key], [...logicalPath, key]);
+        }
+    }
+
+    await visit(spec, baseLocation, [], []);
+
+    if (errors.length > 0) {
+        throw new Error(`Failed to resolve ${errors.length} $ref(s):\n${errors.map(error => `  ${error}`).join('\n')}`);
+    }
+    if (Object.keys(spec.components).length === 0) {
+        delete spec.components;
+    }
+    if (verbose && bundled.size > 0) {
+        console.log(`Bundled ${bundled.size} external $ref(s) from ${documents.size - 1} document(s)`);
+    }
+    return spec;
+}
+
+/**
+ * Load OpenAPI specification from file or URL
+ */
+async function loadOpenAPISpec(specPath, verbose = false) {
+    try {
+        const location = isUrl(specPath) ? specPath : path.resolve(specPath);
+        console.log(`Loading OpenAPI spec from ${isUrl(location) ? 'URL' : 'file'}: ${location}`);
+
+        const parsed = await loadDocument(location);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error(`OpenAPI spec ${specPath} must be an object`);
+        }
+        if (verbose) {
+            console.log(`Successfully loaded OpenAPI spec (${Object.keys(parsed).length} keys in spec)`);
         }
+
+        // Files referenced from a 2.0 document are in 2.0 form as well
+        const convertComponent = isSwagger2(parsed)
+            ? (type, component) => convertSwagger2Component(type, component, parsed.produces)
+            : null;
+        return await bundleSpec(normalizeSpec(parsed, verbose), location, verbose, convertComponent);
     } catch (error) {
         console.error(`Failed to load OpenAPI spec: ${error.message}`);
         if (error.response) {
@@ -46,4 +385,4 @@ async function loadOpenAPISpec(specPath, verbose = false) {
     }
 }
 
-export { loadOpenAPISpec };
\ No newline at end of file
+export { loadOpenAPISpec };
@@ -0,0 +1,106 @@
+/**
+ * Convert a path glob to a RegExp: `*` matches within one segment, `**` across segments
+ */
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            pattern += '.*';
+            i++;
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`);
+}
+
+function lowerCaseList(list) {
+    return (list || []).map(item => item.toLowerCase());
+}
+
+/**
+ * Build the operation filter from the generator options.
+ * Returns a function that yields the reason an operation is dropped, or null to keep it.
+ *
+ * Supported options (all optional):
+ * includeTags, excludeTags, includePaths, excludePaths (globs), includeMethods,
+ * excludeMethods, includeOperations, excludeOperations (operationId regexes), excludeDeprecated.
+ * Operations or path items with `x-mcp-exclude: true` are always dropped.
+ */
+function createOperationFilter(options = {}) {
+    const includeTags = options.includeTags || [];
+    const excludeTags = options.excludeTags || [];
+    const includePaths = (options.includePaths || []).map(globToRegExp);
+    const excludePaths = (options.excludePaths || []).map(globToRegExp);
+    const includeMethods = lowerCaseList(options.includeMethods);
+    const excludeMethods = lowerCaseList(options.excludeMethods);
+    const includeOperations = (options.includeOperations || []).map(pattern => new RegExp(pattern));
+    const excludeOperations = (options.excludeOperations || []).map(pattern => new RegExp(pattern));
+
+    return (path, method, operation, pathItem) => {
+        const tags = operation.tags || [];
+        const operationId = operation.operationId || '';
+
+        if (operation['x-mcp-exclude'] === true || pathItem['x-mcp-exclude'] === true) {
+            return 'x-mcp-exclude';
+        }
+        if (options.excludeDeprecated && operation.deprecated) {
+            return 'deprecated';
+        }
+        if (includeMethods.length > 0 && !includeMethods.includes(method.toLowerCase())) {
+            return 'method';
+        }
+        if (excludeMethods.includes(method.toLowerCase())) {
+            return 'method';
+        }
+        if (includeTags.length > 0 && !tags.some(tag => includeTags.includes(tag))) {
+            return 'tag';
+        }
+        if (tags.some(tag => excludeTags.includes(tag))) {
+            return 'tag';
+        }
+        if (includePaths.length > 0 && !includePaths.some(pattern => pattern.test(path))) {
+            return 'path';
+        }
+        if (excludePaths.some(pattern => pattern.test(path))) {
+            return 'path';
+        }
+        if (includeOperations.length > 0 && !includeOperations.some(pattern => pattern.test(operationId))) {
+            return 'operationId';
+        }
+        if (excludeOperations.some(pattern => pattern.test(operationId))) {
+            return 'operationId';
+        }
+        return null;
+    };
+}
+
+/**
+ * Print how many operations were kept and why the others were dropped
+ */
+function printFilterSummary(kept, dropped, verbose = false) {
+    if (dropped.length === 0) {
+        console.log(`Kept all ${kept} operations`);
+        return;
+    }
+
+    const byReason = {};
+    for (const { reason } of dropped) {
+        byReason[reason] = (byReason[reason] || 0) + 1;
+    }
+    const reasons = Object.entries(byReason).map(([reason, count]) => `${count} by ${reason}`).join(', ');
+    console.log(`Kept ${kept} operations, dropped ${dropped.length} (${reasons})`);
+
+    if (verbose) {
+        for (const { operation, reason } of dropped) {
+            console.log(`  - ${operation} [${reason}]`);
+        }
+    }
+}
+
+export { createOperationFilter, printFilterSummary };
@@ -0,0 +1,177 @@
+import { resolveRef } from './utils.js';
+
+// Query parameters that select the page, by pagination style (case-insensitive)
+const CURSOR_PARAMS = ['cursor', 'after', 'page_token', 'pagetoken', 'next_token', 'nexttoken', 'starting_after', 'continuation_token', 'continuationtoken', 'marker'];
+const OFFSET_PARAMS = ['offset', 'skip', 'start'];
+const PAGE_PARAMS = ['page', 'page_number', 'pagenumber'];
+const LIMIT_PARAMS = ['limit', 'per_page', 'perpage', 'page_size', 'pagesize', 'size', 'count', 'max_results', 'maxresults', 'top'];
+
+// Response fields carrying the next cursor or the URL of the next page
+const CURSOR_FIELDS = ['next_cursor', 'nextcursor', 'next_page_token', 'nextpagetoken', 'next_token', 'nexttoken', 'cursor', 'continuation_token', 'continuationtoken', 'next_marker', 'nextmarker'];
+const NEXT_URL_FIELDS = ['next', 'next_url', 'nexturl', 'next_page_url', 'nextpageurl', 'nextlink', '@odata.nextlink'];
+// Objects APIs commonly nest those fields in ('' is the response itself)
+const CONTAINER_FIELDS = ['', 'meta', 'pagination', 'paging', 'links', '_links', 'response_metadata', 'page_info', 'pageinfo'];
+// Array properties that usually hold the page's items, in order of preference
+const ITEM_FIELDS = ['items', 'data', 'results', 'records', 'entries', 'values', 'value', 'content', 'list', 'nodes', 'edges'];
+
+// Arguments added to paginated tools; they steer the runtime and are not sent to the API
+const PAGE_LIMIT_ARGUMENTS = {
+    maxPages: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Follow up to this many pages and merge their items (default: 1, or as many as needed for maxItems)'
+    },
+    maxItems: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Stop once this many items have been collected across pages'
+    }
+};
+
+/**
+ * Properties of an object schema, following $refs and merging allOf members
+ */
+function schemaProperties(spec, schema) {
+    const resolved = schema?.$ref ? resolveRef(spec, schema.$ref) : schema;
+    if (!resolved || typeof resolved !== 'object') return {};
+    const properties = { ...(resolved.properties || {}) };
+    for (const member of resolved.allOf || []) {
+        Object.assign(properties, schemaProperties(spec, member));
+    }
+    return properties;
+}
+
+function schemaType(spec, schema) {
+    const resolved = schema?.$ref ? resolveRef(spec, schema.$ref) : schema;
+    return Array.isArray(resolved?.type) ? resolved.type.find(type => type !== 'null') : resolved?.type;
+}
+
+/**
+ * Path of the first of `names` found at the top of the response or in a common container
+ */
+function findField(spec, schema, names) {
+    const rootProperties = schemaProperties(spec, schema);
+    for (const container of CONTAINER_FIELDS) {
+        const containerKey = container && Object.keys(rootProperties).find(key => key.toLowerCase() === container);
+        if (container && !containerKey) continue;
+        const properties = container ? schemaProperties(spec, rootProperties[containerKey]) : rootProperties;
+        for (const name of names) {
+            const key = Object.keys(properties).find(candidate => candidate.toLowerCase() === name);
+            if (key) return container ? [containerKey, key] : [key];
+        }
+    }
+    return null;
+}
+
+/**
+ * Path of the items array: [] for array responses, else a well-known or the only array property
+ */
+function findItemsPath(spec, schema) {
+    if (schemaType(spec, schema) === 'array') return [];
+    const properties = schemaProperties(spec, schema);
+    const arrays = Object.keys(properties).filter(key => schemaType(spec, properties[key]) === 'array');
+    const preferred = ITEM_FIELDS.map(name => arrays.find(key => key.toLowerCase() === name)).find(Boolean);
+    if (preferred) return [preferred];
+    return arrays.length === 1 ? [arrays[0]] : null;
+}
+
+/**
+ * The query argument whose request name is one of `names`
+ */
+function findQueryArgument(tool, names) {
+    for (const name of names) {
+        const entry = Object.entries(tool.argumentMap)
+            .find(([, target]) => target.in === 'query' && target.name.toLowerCase() === name);
+        if (entry) return { argument: entry[0], param: entry[1].name };
+    }
+    return null;
+}
+
+function splitPath(path) {
+    if (Array.isArray(path)) return path;
+    return typeof path === 'string' && path !== '' ? path.split('.') : [];
+}
+
+/**
+ * Detect how a list operation is paginated from its parameters, response headers and response
+ * schema; `x-mcp-pagination` overrides what is detected, or turns pagination off with `false`.
+ *
+ * Styles: `link` (Link header rel="next"), `next` (next page URL in the body), `cursor`
+ * (cursor from the body sent back in a query parameter), `offset` and `page` (counted).
+ */
+function detectPagination(spec, tool, response, responseSchema, hint) {
+    if (hint === false) return null;
+    const hints = hint && typeof hint === 'object' ? hint : {};
+
+    const headers = Object.keys(response?.headers || {}).map(name => name.toLowerCase());
+    const cursorParam = findQueryArgument(tool, CURSOR_PARAMS);
+    const offsetParam = findQueryArgument(tool, OFFSET_PARAMS);
+    const pageParam = findQueryArgument(tool, PAGE_PARAMS);
+    const nextPath = findField(spec, responseSchema, NEXT_URL_FIELDS);
+    const cursorPath = cursorParam && findField(spec, responseSchema, CURSOR_FIELDS);
+
+    let detected = null;
+    if (headers.includes('link')) {
+        detected = { style: 'link' };
+    } else if (nextPath) {
+        detected = { style: 'next', nextPath, ...cursorParam };
+    } else if (cursorPath) {
+        detected = { style: 'cursor', cursorPath, ...cursorParam };
+    } else if (offsetParam) {
+        detected = { style: 'offset', ...offsetParam };
+    } else if (pageParam) {
+        detected = { style: 'page', ...pageParam };
+    }
+    if (!detected && !hints.style) return null;
+
+    const pagination = { ...detected };
+    if (hints.style) pagination.style = hints.style;
+    if (hints.param) {
+        const target = findQueryArgument(tool, [hints.param.toLowerCase()]);
+        Object.assign(pagination, target || { param: hints.param });
+    }
+    if (hints.cursorPath !== undefined) pagination.cursorPath = splitPath(hints.cursorPath);
+    if (hints.nextPath !== undefined) pagination.nextPath = splitPath(hints.nextPath);
+
+    const itemsPath = hints.itemsPath !== undefined ? splitPath(hints.itemsPath) : findItemsPath(spec, responseSchema);
+    if (!itemsPath) {
+        console.warn(`Warning: ${tool.name} looks paginated (${pagination.style}) but its items array was not found; set x-mcp-pagination.itemsPath to enable it`);
+        return null;
+    }
+    pagination.itemsPath = itemsPath;
+
+    const limitParam = findQueryArgument(tool, hints.limitParam ? [hints.limitParam.toLowerCase()] : LIMIT_PARAMS);
+    if (limitParam && ['offset', 'page'].includes(pagination.style)) {
+        pagination.limitArgument = limitParam.argument;
+    }
+
+    const missing = { cursor: ['param', 'cursorPath'], next: ['nextPath'], offset: ['param'], page: ['param'], link: [] }[pagination.style];
+    if (!missing) {
+        console.warn(`Warning: Unknown x-mcp-pagination style "${pagination.style}" of ${tool.name}, expected one of: link, next, cursor, offset, page`);
+        return null;
+    }
+    if (missing.some(key => !pagination[key])) {
+        console.warn(`Warning: ${pagination.style} pagination of ${tool.name} needs ${missing.join(' and ')}; pagination is disabled`);
+        return null;
+    }
+    return pagination;
+}
+
+/**
+ * Detect pagination and, when found, add the maxPages/maxItems arguments and describe them
+ */
+function addPagination(spec, tool, response, responseSchema, hint) {
+    const pagination = detectPagination(spec, tool, response, responseSchema, hint);
+    if (!pagination) return;
+
+    const taken = Object.keys(PAGE_LIMIT_ARGUMENTS).filter(name => name in tool.inputSchema.properties);
+    if (taken.length > 0) {
+        console.warn(`Warning: ${tool.name} already has a ${taken.join(' and ')} argument; pagination is disabled`);
+        return;
+    }
+    Object.assign(tool.inputSchema.properties, PAGE_LIMIT_ARGUMENTS);
+    tool.pagination = pagination;
+    tool.description += `\n\nPaginated (${pagination.style}): set maxPages or maxItems to fetch several pages in one call.`;
+}
+
+export { addPagination };
@@ -0,0 +1,1254 @@
+/**
+ * Code snippets shared by the generated server.js and server.ts.
+ * Each generator returns plain JavaScript, or TypeScript when `typescript` is true.
+ */
+
+/**
+ * Return a type annotation only for the TypeScript output
+ */
+function typed(typescript) {
+    return annotation => (typescript ? annotation : '');
+}
+
+/**
+ * Generate the parameter serializers implementing OpenAPI style/explode/allowReserved
+ */
+function generateParamSerializers(typescript) {
+    const t = typed(typescript);
+    return `/**
+ * Encode a single parameter value; allowReserved keeps RFC 3986 reserved characters as-is
+ */
+function encodeParamValue(value${t(': any')}, allowReserved${t(': boolean')} = false)${t(': string')} {
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return allowReserved ? encodeURI(text).replace(/%5B/g, "[").replace(/%5D/g, "]") : encodeURIComponent(text);
+}
+
+/**
+ * Object entries without empty values
+ */
+function definedEntries(value${t(': Record<string, any>')})${t(': [string, any][]')} {
+  return Object.entries(value).filter(([, v]) => v !== undefined && v !== null);
+}
+
+/**
+ * Serialize a path parameter (style: simple | label | matrix | tabDelimited)
+ */
+function serializePathParam(name${t(': string')}, value${t(': any')}, style${t(': string')} = "simple", explode${t(': boolean')} = false)${t(': string')} {
+  const enc = (v${t(': any')}) => encodeParamValue(v);
+  let parts${t(': string[]')};
+  if (Array.isArray(value)) {
+    parts = value.map(enc);
+  } else if (value !== null && typeof value === "object") {
+    parts = explode
+      ? definedEntries(value).map(([k, v]) => \`\${enc(k)}=\${enc(v)}\`)
+      : definedEntries(value).flatMap(([k, v]) => [enc(k), enc(v)]);
+  } else {
+    parts = [enc(value)];
+  }
+
+  const isObject = value !== null && typeof value === "object" && !Array.isArray(value);
+  switch (style) {
+    case "label":
+      return "." + parts.join(explode ? "." : ",");
+    case "matrix":
+      if (!explode) return \`;\${name}=\${parts.join(",")}\`;
+      return isObject ? parts.map((part) => \`;\${part}\`).join("") : parts.map((part) => \`;\${name}=\${part}\`).join("");
+    case "tabDelimited":
+      return parts.join("%09");
+    default:
+      return parts.join(",");
+  }
+}
+
+/**
+ * Serialize nested objects as key[sub]=value pairs
+ */
+function deepObjectPairs(prefix${t(': string')}, value${t(': any')}, enc${t(': (v: any) => string')})${t(': string[]')} {
+  return definedEntries(value).flatMap(([k, v]) => {
+    const key = \`\${prefix}[\${encodeURIComponent(k)}]\`;
+    if (Array.isArray(v)) return v.map((item) => \`\${key}=\${enc(item)}\`);
+    if (typeof v === "object") return deepObjectPairs(key, v, enc);
+    return [\`\${key}=\${enc(v)}\`];
+  });
+}
+
+/**
+ * Serialize a query parameter (style: form | spaceDelimited | pipeDelimited | tabDelimited | deepObject)
+ * into already-encoded "key=value" pairs; tabDelimited stands for Swagger 2's collectionFormat tsv
+ */
+function serializeQueryParam(name${t(': string')}, value${t(': any')}, style${t(': string')} = "form", explode${t(': boolean')} = style === "form", allowReserved${t(': boolean')} = false)${t(': string[]')} {
+  const enc = (v${t(': any')}) => encodeParamValue(v, allowReserved);
+  const key = encodeURIComponent(name);
+  const separator = style === "spaceDelimited" ? "%20" : style === "pipeDelimited" ? "|" : style === "tabDelimited" ? "%09" : ",";
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [];
+    if (explode) return value.map((item) => \`\${key}=\${enc(item)}\`);
+    return [\`\${key}=\${value.map(enc).join(separator)}\`];
+  }
+  if (value !== null && typeof value === "object") {
+    if (style === "deepObject") return deepObjectPairs(key, value, enc);
+    if (explode) return definedEntries(value).map(([k, v]) => \`\${encodeURIComponent(k)}=\${enc(v)}\`);
+    return [\`\${key}=\${definedEntries(value).flatMap(([k, v]) => [encodeURIComponent(k), enc(v)]).join(separator)}\`];
+  }
+  return [\`\${key}=\${enc(value)}\`];
+}
+
+/**
+ * Serialize a header parameter (style: simple, or tabDelimited for tab-separated arrays)
+ */
+function serializeHeaderParam(value${t(': any')}, explode${t(': boolean')} = false, style${t(': string')} = "simple")${t(': string')} {
+  if (Array.isArray(value)) return value.map(String).join(style === "tabDelimited" ? "\\t" : ",");
+  if (value !== null && typeof value === "object") {
+    return explode
+      ? definedEntries(value).map(([k, v]) => \`\${k}=\${v}\`).join(",")
+      : definedEntries(value).flatMap(([k, v]) => [k, String(v)]).join(",");
+  }
+  return String(value);
+}
+
+/**
+ * Serialize a cookie parameter (style: form) into "name=value" pairs
+ */
+function serializeCookieParam(name${t(': string')}, value${t(': any')}, explode${t(': boolean')} = true)${t(': string[]')} {
+  const enc = (v${t(': any')}) => encodeURIComponent(String(v));
+  if (Array.isArray(value)) {
+    return explode ? value.map((item) => \`\${name}=\${enc(item)}\`) : [\`\${name}=\${value.map(enc).join(",")}\`];
+  }
+  if (value !== null && typeof value === "object") {
+    return explode
+      ? definedEntries(value).map(([k, v]) => \`\${k}=\${enc(v)}\`)
+      : [\`\${name}=\${definedEntries(value).flatMap(([k, v]) => [k, enc(v)]).join(",")}\`];
+  }
+  return [\`\${name}=\${enc(value)}\`];
+}
+`;
+}
+
+/**
+ * Generate the request body encoders (JSON, form-urlencoded, multipart, text, binary)
+ * and the file input resolver used for uploads
+ */
+function generateBodyEncoders(typescript) {
+    const t = typed(typescript);
+    return `${typescript ? `interface FileInput {
+  data: Buffer;
+  filename?: string;
+  mimeType?: string;
+}
+
+` : ''}/**
+ * Turn a file argument into bytes. Accepts base64 text, a data:/file:/http(s): URI,
+ * or an object { data | uri, filename, mimeType }. file:// URIs are only read
+ * from inside FILE_UPLOAD_DIR, and http(s): URIs only from hosts in FILE_UPLOAD_URL_HOSTS.
+ */
+async function resolveFileInput(value${t(': any')})${t(': Promise<FileInput>')} {
+  const input = typeof value === "string" ? { [/^(data|file|https?):/i.test(value) ? "uri" : "data"]: value } : (value || {});
+  let file${t(': FileInput')};
+
+  if (input.data !== undefined) {
+    file = { data: Buffer.from(String(input.data), "base64") };
+  } else if (typeof input.uri === "string" && input.uri.startsWith("data:")) {
+    const match = input.uri.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+    if (!match) throw new Error("Invalid data: URI");
+    file = {
+      data: match[2] ? Buffer.from(match[3], "base64") : Buffer.from(decodeURIComponent(match[3])),
+      mimeType: match[1] || undefined,
+    };
+  } else if (typeof input.uri === "string" && input.uri.startsWith("file:")) {
+    const uploadDir = process.env.FILE_UPLOAD_DIR;
+    const notAllowed = new Error(\`Reading \${input.uri} is not allowed; set FILE_UPLOAD_DIR to a directory containing it\`);
+    if (!uploadDir) throw notAllowed;
+    // Compare real paths so symlinks inside the upload directory cannot point outside it
+    const filePath = await realpath(fileURLToPath(input.uri)).catch(() => { throw notAllowed; });
+    const relative = path.relative(await realpath(uploadDir), filePath);
+    if (relative === ".." || relative.startsWith(\`..\${path.sep}\`) || path.isAbsolute(relative)) throw notAllowed;
+    file = { data: await readFile(filePath), filename: path.basename(filePath) };
+  } else if (typeof input.uri === "string" && /^https?:/i.test(input.uri)) {
+    // Only hosts listed in FILE_UPLOAD_URL_HOSTS are fetched, so the model cannot reach internal addresses
+    const allowedHosts = (process.env.FILE_UPLOAD_URL_HOSTS || "").split(",").map((host) => host.trim().toLowerCase()).filter(Boolean);
+    if (!allowedHosts.includes(new URL(input.uri).hostname.toLowerCase())) {
+      throw new Error(\`Fetching \${input.uri} is not allowed; list its host in FILE_UPLOAD_URL_HOSTS\`);
+    }
+    // Redirects could lead off the allowed hosts
+    const response = await axios.get(input.uri, { responseType: "arraybuffer", maxRedirects: 0 });
+    file = {
+      data: Buffer.from(response.data),
+      filename: path.basename(new URL(input.uri).pathname) || undefined,
+      mimeType: response.headers["content-type"]${t(' as string | undefined')},
+    };
+  } else {
+    throw new Error("File arguments need base64 content or a data:, file: or http(s): URI");
+  }
+
+  return { ...file, filename: input.filename || file.filename, mimeType: input.mimeType || file.mimeType };
+}
+
+/**
+ * Encode the request body for the tool's media type.
+ * Returns the data to send and the Content-Type to set (multipart lets axios set the boundary).
+ */
+async function encodeRequestBody(tool${t(': OpenApiTool')}, body${t(': any')})${t(': Promise<{ data: any; contentType?: string }>')} {
+  const mediaType = tool.requestBody?.mediaType || "application/json";
+  const encoding${t(': Record<string, any>')} = tool.requestBody?.encoding || {};
+  const fileFields = new Set(
+    Object.values(tool.argumentMap || {})
+      .filter((target) => target.in === "body" && target.file && target.name)
+      .map((target) => target.name)
+  );
+
+  if (mediaType === "multipart/form-data") {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(body || {})) {
+      if (value === undefined || value === null) continue;
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (fileFields.has(name)) {
+          const file = await resolveFileInput(item);
+          const type = encoding[name]?.contentType || file.mimeType || "application/octet-stream";
+          form.append(name, new Blob([new Uint8Array(file.data)], { type }), file.filename || name);
+        } else if (typeof item === "object") {
+          form.append(name, new Blob([JSON.stringify(item)], { type: "application/json" }));
+        } else {
+          form.append(name, String(item));
+        }
+      }
+    }
+    return { data: form };
+  }
+
+  if (mediaType === "application/x-www-form-urlencoded") {
+    const pairs = Object.entries(body || {})
+      .filter(([, value]) => value !== undefined && value !== null)
+      .flatMap(([name, value]) => serializeQueryParam(name, value, encoding[name]?.style, encoding[name]?.explode, encoding[name]?.allowReserved));
+    return { data: pairs.join("&"), contentType: mediaType };
+  }
+
+  if (/json/.test(mediaType) || mediaType === "*/*") {
+    return { data: body, contentType: mediaType === "*/*" ? "application/json" : mediaType };
+  }
+
+  if (mediaType.startsWith("text/") || /[/+]xml$/.test(mediaType)) {
+    return { data: typeof body === "string" ? body : JSON.stringify(body), contentType: mediaType };
+  }
+
+  // Any other media type is sent as raw bytes
+  const file = await resolveFileInput(body);
+  const contentType = mediaType === "application/octet-stream" && file.mimeType ? file.mimeType : mediaType;
+  return { data: file.data, contentType };
+}
+`;
+}
+
+/**
+ * Generate the helper that turns a failed API call into an \`isError\` tool result
+ */
+function generateErrorFormatter(typescript) {
+    const t = typed(typescript);
+    return `// Longest response body excerpt included in an error result
+const MAX_ERROR_BODY_LENGTH = 2000;
+
+// Response headers APIs commonly use to identify a request
+const REQUEST_ID_HEADERS = ["x-request-id", "request-id", "x-correlation-id", "x-amzn-requestid", "x-github-request-id"];
+
+/**
+ * Build a CallToolResult with isError set, carrying the HTTP status, the matching
+ * error response schema, a truncated response body and the request ids
+ */
+function formatToolError(tool${t(': OpenApiTool | undefined')}, error${t(': any')}, requestId${t(': string | number')})${t(': { isError: true; content: { type: "text"; text: string }[] }')} {
+  const response = error?.response;
+  const lines${t(': string[]')} = [error instanceof Error ? error.message : String(error)];
+
+  if (response) {
+    const status = response.status;
+    lines.push(\`HTTP status: \${status}\${response.statusText ? \` \${response.statusText}\` : ""}\`);
+
+    const errorResponses${t(': Record<string, string>')} = tool?.errorResponses || {};
+    const schemaName = errorResponses[String(status)] || errorResponses[\`\${String(status)[0]}XX\`] || errorResponses.default;
+    if (schemaName) lines.push(\`Error schema: \${schemaName}\`);
+
+    const upstreamId = REQUEST_ID_HEADERS.map((name) => response.headers?.[name]).find(Boolean);
+    if (upstreamId) lines.push(\`API request id: \${upstreamId}\`);
+
+    if (response.data !== undefined && response.data !== "") {
+      const body = typeof response.data === "string" ? response.data
+        : Buffer.isBuffer(response.data) ? \`<\${response.data.length} bytes of \${response.headers?.["content-type"] || "binary data"}>\`
+        : JSON.stringify(response.data);
+      lines.push(body.length > MAX_ERROR_BODY_LENGTH
+        ? \`Response body (truncated from \${body.length} characters): \${body.slice(0, MAX_ERROR_BODY_LENGTH)}…\`
+        : \`Response body: \${body}\`);
+    }
+  }
+  lines.push(\`MCP request id: \${requestId}\`);
+
+  return { isError: true, content: [{ type: "text", text: lines.join("\\n") }] };
+}
+`;
+}
+
+/**
+ * Generate the argument validation: each tool's inputSchema is compiled with Ajv at startup
+ */
+function generateArgumentValidator(typescript) {
+    const t = typed(typescript);
+    return `// JSON Schema 2020-12 validator; useDefaults fills in schema defaults while validating
+const ajv = new Ajv2020({ allErrors: true, strict: false, useDefaults: true, logger: false });
+addFormats(ajv);
+
+/**
+ * Compile a validator for each tool's inputSchema.
+ * A schema that does not compile is reported and the tool is left unvalidated.
+ */
+function compileValidators(tools${t(': OpenApiTool[]')})${t(': Map<string, ValidateFunction>')} {
+  const validators = new Map${t('<string, ValidateFunction>')}();
+  for (const tool of tools) {
+    try {
+      validators.set(tool.id, ajv.compile(tool.inputSchema));
+    } catch (error) {
+      console.error(\`Cannot validate arguments of \${tool.name}: \${error instanceof Error ? error.message : String(error)}\`);
+    }
+  }
+  return validators;
+}
+
+/**
+ * Turn an Ajv error into a "field: problem" line the model can act on
+ */
+function describeValidationError(error${t(': ErrorObject')})${t(': string')} {
+  const path = error.instancePath.slice(1).replace(/\\//g, ".");
+  const field = (name${t(': string')}) => [path, name].filter(Boolean).join(".") || "(arguments)";
+  const params${t(': Record<string, any>')} = error.params;
+  switch (error.keyword) {
+    case "required":
+      return \`\${field(params.missingProperty)}: is required\`;
+    case "additionalProperties":
+      return \`\${field(params.additionalProperty)}: is not an allowed property\`;
+    case "enum":
+      return \`\${field("")}: must be one of \${params.allowedValues.map((value${t(': any')}) => JSON.stringify(value)).join(", ")}\`;
+    default:
+      return \`\${field("")}: \${error.message}\`;
+  }
+}
+
+/**
+ * Prepare the model's arguments for a call: header arguments fall back to their HEADER_*
+ * environment variable, unknown properties are stripped, schema defaults are applied and
+ * the result is validated against the tool's inputSchema.
+ */
+function prepareArguments(tool${t(': OpenApiTool')}, validate${t(': ValidateFunction | undefined')}, params${t(': Record<string, any>')})${t(': { args: Record<string, any>; stripped: string[]; errors: string[] }')} {
+  const properties = (tool.inputSchema.properties || {})${t(' as Record<string, any>')};
+  const args${t(': Record<string, any>')} = {};
+  const stripped${t(': string[]')} = [];
+  for (const [name, value] of Object.entries(params)) {
+    if (name in properties) args[name] = value;
+    else stripped.push(name);
+  }
+
+  for (const [name, target] of Object.entries(tool.argumentMap || {})) {
+    if (target.env && name in properties && args[name] === undefined && process.env[target.env]) {
+      args[name] = process.env[target.env];
+    }
+  }
+
+  if (!validate || validate(args)) {
+    return { args, stripped, errors: [] };
+  }
+  const errors = [...new Set((validate.errors || []).map(describeValidationError))];
+  return { args, stripped, errors };
+}
+`;
+}
+
+/**
+ * Generate the HTTP hosting for the Streamable HTTP and legacy SSE transports:
+ * sessions, CORS/origin checks and a /health endpoint
+ */
+function generateHttpTransport(typescript) {
+    const t = typed(typescript);
+    return `// Browser origins allowed to call the HTTP transports ("*" for any); localhost is always allowed
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || "").split(",").map((origin) => origin.trim()).filter(Boolean);
+
+// Largest JSON-RPC request body accepted over HTTP
+const MAX_HTTP_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Check the Origin header, protecting local servers against DNS rebinding.
+ * Requests without an Origin (non-browser clients) are allowed.
+ */
+function isOriginAllowed(origin${t(': string | undefined')})${t(': boolean')} {
+  if (!origin || ALLOWED_ORIGINS.includes("*") || ALLOWED_ORIGINS.includes(origin)) return true;
+  try {
+    return ["localhost", "127.0.0.1", "[::1]"].includes(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Answer with a JSON body
+ */
+function sendJson(res${t(': ServerResponse')}, status${t(': number')}, body${t(': any')})${t(': void')} {
+  res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+}
+
+/**
+ * JSON-RPC error envelope for requests rejected before they reach a session
+ */
+function jsonRpcError(code${t(': number')}, message${t(': string')}) {
+  return { jsonrpc: "2.0", error: { code, message }, id: null };
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+async function readJsonBody(req${t(': IncomingMessage')})${t(': Promise<any>')} {
+  const chunks${t(': Buffer[]')} = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_HTTP_BODY_BYTES) throw new Error("Request body too large");
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString("utf8");
+  return text ? JSON.parse(text) : undefined;
+}
+
+/**
+ * Serve MCP over HTTP. "http" is the Streamable HTTP transport on /mcp, "sse" the legacy
+ * SSE transport (GET /sse opens a stream, POST /messages?sessionId=... sends to it).
+ * Every session gets its own MCP server from createServer().
+ */
+async function serveHttp(transportType${t(': string')}, createServer${t(': () => Server')}, health${t(': () => Record<string, any>')})${t(': Promise<HttpServer>')} {
+  const sessions = new Map${t('<string, StreamableHTTPServerTransport>')}();
+  const sseSessions = new Map${t('<string, SSEServerTransport>')}();
+
+  // Browsers may only send the headers listed here, so add the ones callers forward credentials in
+  const allowedHeaders = ["Content-Type", "Authorization", "Mcp-Session-Id", "Mcp-Protocol-Version", "Last-Event-ID"];
+  for (const [name, value] of Object.entries(process.env)) {
+    if (name.endsWith("_PASSTHROUGH_HEADER") && value && !allowedHeaders.some((header) => header.toLowerCase() === value.toLowerCase())) {
+      allowedHeaders.push(value);
+    }
+  }
+
+  // Streamable HTTP: sessions start with an initialize request and are identified by Mcp-Session-Id
+  const handleStreamableHttp = async (req${t(': IncomingMessage')}, res${t(': ServerResponse')}) => {
+    const sessionId = req.headers["mcp-session-id"]${t(' as string | undefined')};
+    const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+    let transport = sessionId ? sessions.get(sessionId) : undefined;
+
+    if (sessionId && !transport) {
+      return sendJson(res, 404, jsonRpcError(-32001, "Session not found"));
+    }
+    if (!transport) {
+      if (req.method !== "POST" || !isInitializeRequest(body)) {
+        return sendJson(res, 400, jsonRpcError(-32000, "Bad Request: no valid session ID provided"));
+      }
+      const newTransport${t(': StreamableHTTPServerTransport')} = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id${t(': string')}) => {
+          sessions.set(id, newTransport);
+        },
+      });
+      newTransport.onclose = () => {
+        if (newTransport.sessionId) sessions.delete(newTransport.sessionId);
+      };
+      await createServer().connect(newTransport);
+      transport = newTransport;
+    }
+    await transport.handleRequest(req, res, body);
+  };
+
+  // Legacy SSE: one long-lived event stream per session, requests arrive on /messages
+  const handleSse = async (req${t(': IncomingMessage')}, res${t(': ServerResponse')}, url${t(': URL')}) => {
+    if (req.method === "GET" && url.pathname === "/sse") {
+      const transport = new SSEServerTransport("/messages", res);
+      sseSessions.set(transport.sessionId, transport);
+      transport.onclose = () => {
+        sseSessions.delete(transport.sessionId);
+      };
+      await createServer().connect(transport);
+      return;
+    }
+    const transport = sseSessions.get(url.searchParams.get("sessionId") || "");
+    if (!transport) {
+      return sendJson(res, 404, jsonRpcError(-32001, "Session not found"));
+    }
+    await transport.handlePostMessage(req, res, await readJsonBody(req));
+  };
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const origin = req.headers.origin;
+    if (!isOriginAllowed(origin)) {
+      return sendJson(res, 403, jsonRpcError(-32000, \`Origin not allowed: \${origin}\`));
+    }
+    if (origin) {
+      res.setHeader("Access-Control-Allow-Origin", origin);
+      res.setHeader("Vary", "Origin");
+      res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+      res.setHeader("Access-Control-Allow-Headers", allowedHeaders.join(", "));
+      res.setHeader("Access-Control-Expose-Headers", "Mcp-Session-Id");
+    }
+    if (req.method === "OPTIONS") {
+      res.writeHead(204).end();
+      return;
+    }
+
+    const url = new URL(req.url || "/", "http://localhost");
+    try {
+      if (url.pathname === "/health") {
+        return sendJson(res, 200, { status: "ok", transport: transportType, sessions: sessions.size + sseSessions.size, ...health() });
+      }
+      if (transportType === "http" && url.pathname === "/mcp") {
+        return await handleStreamableHttp(req, res);
+      }
+      if (transportType === "sse" && (url.pathname === "/sse" || url.pathname === "/messages")) {
+        return await handleSse(req, res, url);
+      }
+      sendJson(res, 404, { error: "Not found" });
+    } catch (error) {
+      console.error(\`HTTP \${req.method} \${url.pathname} failed:\`, error);
+      if (!res.headersSent) {
+        const message = error instanceof Error ? error.message : String(error);
+        if (error instanceof SyntaxError) sendJson(res, 400, jsonRpcError(-32700, \`Parse error: \${message}\`));
+        else sendJson(res, 500, jsonRpcError(-32603, message));
+      }
+    }
+  });
+
+  // Close every session before exiting
+  const shutdown = async () => {
+    await Promise.allSettled([...sessions.values(), ...sseSessions.values()].map((transport) => transport.close()));
+    httpServer.close(() => process.exit(0));
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+
+  await new Promise${t('<void>')}((resolve) => httpServer.listen(HTTP_PORT, HTTP_HOST, resolve));
+  return httpServer;
+}
+`;
+}
+
+/**
+ * Generate the OAuth2 / OpenID Connect token client (client-credentials and refresh-token grants)
+ */
+function generateOAuthClient(typescript) {
+    const t = typed(typescript);
+    return `${typescript ? `interface CachedToken {
+  accessToken: string;
+  refreshAt: number;
+}
+
+` : ''}// Tokens are renewed this long before they expire, or halfway through shorter lifetimes
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+// Lifetime assumed when the token endpoint does not send expires_in
+const DEFAULT_TOKEN_LIFETIME_MS = 5 * 60 * 1000;
+
+// Access tokens by scheme + scope set, and the in-flight requests for them
+const tokenCache = new Map${t('<string, CachedToken>')}();
+const pendingTokens = new Map${t('<string, Promise<string>>')}();
+// Refresh tokens rotated by the token endpoint replace the configured one
+const rotatedRefreshTokens = new Map${t('<string, string>')}();
+// OpenID Connect discovery documents by URL
+const discoveryCache = new Map${t('<string, Promise<any>>')}();
+
+/**
+ * Find the token endpoint of an OpenID Connect provider
+ */
+async function discoverTokenEndpoint(openIdConnectUrl${t(': string')})${t(': Promise<string>')} {
+  if (!discoveryCache.has(openIdConnectUrl)) {
+    const request = axios.get(openIdConnectUrl).then((response) => response.data);
+    request.catch(() => discoveryCache.delete(openIdConnectUrl));
+    discoveryCache.set(openIdConnectUrl, request);
+  }
+  const discovery = await discoveryCache.get(openIdConnectUrl);
+  if (!discovery?.token_endpoint) {
+    throw new Error(\`No token_endpoint in OpenID Connect discovery document \${openIdConnectUrl}\`);
+  }
+  return discovery.token_endpoint;
+}
+
+/**
+ * Token endpoint for a grant: the <SCHEME>_TOKEN_URL override, the flow's tokenUrl
+ * (refreshUrl for refresh tokens) or the OpenID Connect discovery document
+ */
+async function resolveTokenUrl(prefix${t(': string')}, scheme${t(': SecurityScheme')}, grant${t(': string')}, baseUrl${t(': string')})${t(': Promise<string | undefined>')} {
+  let tokenUrl = process.env[\`\${prefix}_TOKEN_URL\`];
+  if (!tokenUrl && scheme.type === "openIdConnect" && scheme.openIdConnectUrl) {
+    tokenUrl = await discoverTokenEndpoint(new URL(scheme.openIdConnectUrl, baseUrl || undefined).toString());
+  }
+  if (!tokenUrl) {
+    const flows${t(': Record<string, any>')} = scheme.flows || {};
+    const flow = grant === "client_credentials"
+      ? flows.clientCredentials
+      : flows.authorizationCode || flows.password || flows.clientCredentials;
+    tokenUrl = (grant === "refresh_token" && flow?.refreshUrl) || flow?.tokenUrl;
+  }
+  // OpenAPI allows token URLs relative to the API server
+  return tokenUrl ? new URL(tokenUrl, baseUrl || undefined).toString() : undefined;
+}
+
+/**
+ * Request a token. Client credentials go in a Basic Authorization header,
+ * or in the form body when <SCHEME>_CLIENT_AUTH=post.
+ */
+async function requestToken(prefix${t(': string')}, tokenUrl${t(': string')}, form${t(': Record<string, string>')})${t(': Promise<any>')} {
+  const clientId = process.env[\`\${prefix}_CLIENT_ID\`];
+  const clientSecret = process.env[\`\${prefix}_CLIENT_SECRET\`];
+  const headers${t(': Record<string, string>')} = { Accept: "application/json" };
+  const body = new URLSearchParams(form);
+
+  if (clientId && process.env[\`\${prefix}_CLIENT_AUTH\`] === "post") {
+    body.set("client_id", clientId);
+    if (clientSecret) body.set("client_secret", clientSecret);
+  } else if (clientId) {
+    const credentials = \`\${encodeURIComponent(clientId)}:\${encodeURIComponent(clientSecret || "")}\`;
+    headers.Authorization = \`Basic \${Buffer.from(credentials).toString("base64")}\`;
+  }
+
+  try {
+    const response = await axios.post(tokenUrl, body.toString(), {
+      headers: { ...headers, "Content-Type": "application/x-www-form-urlencoded" },
+    });
+    if (!response.data?.access_token) throw new Error("response has no access_token");
+    return response.data;
+  } catch (error${t(': any')}) {
+    const detail = error.response?.data?.error_description || error.response?.data?.error || error.message;
+    throw new Error(\`Token request to \${tokenUrl} failed\${error.response ? \` with status \${error.response.status}\` : ""}: \${detail}\`);
+  }
+}
+
+/**
+ * Scope set requested for a scheme: <SCHEME>_SCOPES, or the scopes the operation requires
+ */
+function oauthScope(schemeName${t(': string')}, scopes${t(': string[]')})${t(': string')} {
+  return (process.env[\`\${schemeName.toUpperCase()}_SCOPES\`] || scopes.join(" ")).trim();
+}
+
+/**
+ * Get an access token for an oauth2 or openIdConnect scheme, using the refresh-token grant
+ * when <SCHEME>_REFRESH_TOKEN is set and client credentials otherwise. Tokens are cached per
+ * scheme and scope set and renewed shortly before they expire; <SCHEME>_ACCESS_TOKEN is
+ * used as-is when no grant is configured.
+ */
+async function getOAuthToken(schemeName${t(': string')}, scheme${t(': SecurityScheme')}, scopes${t(': string[]')}, baseUrl${t(': string')})${t(': Promise<string | undefined>')} {
+  const prefix = schemeName.toUpperCase();
+  const scope = oauthScope(schemeName, scopes);
+  const cacheKey = \`\${schemeName} \${scope}\`;
+
+  const cached = tokenCache.get(cacheKey);
+  if (cached && cached.refreshAt > Date.now()) {
+    return cached.accessToken;
+  }
+
+  const refreshToken = rotatedRefreshTokens.get(schemeName) || process.env[\`\${prefix}_REFRESH_TOKEN\`];
+  const grant = refreshToken ? "refresh_token" : process.env[\`\${prefix}_CLIENT_ID\`] ? "client_credentials" : undefined;
+  if (!grant) {
+    return process.env[\`\${prefix}_ACCESS_TOKEN\`];
+  }
+
+  // Concurrent calls share one token request
+  if (!pendingTokens.has(cacheKey)) {
+    const request = (async () => {
+      const tokenUrl = await resolveTokenUrl(prefix, scheme, grant, baseUrl);
+      if (!tokenUrl) {
+        throw new Error(\`No token URL for \${schemeName}; set \${prefix}_TOKEN_URL\`);
+      }
+      const form${t(': Record<string, string>')} = grant === "refresh_token"
+        ? { grant_type: "refresh_token", refresh_token: refreshToken${t('!')} }
+        : { grant_type: "client_credentials" };
+      if (scope) form.scope = scope;
+
+      const token = await requestToken(prefix, tokenUrl, form);
+      if (token.refresh_token) rotatedRefreshTokens.set(schemeName, token.refresh_token);
+      const lifetime = Number(token.expires_in) > 0 ? Number(token.expires_in) * 1000 : DEFAULT_TOKEN_LIFETIME_MS;
+      const margin = Math.min(TOKEN_REFRESH_MARGIN_MS, lifetime / 2);
+      tokenCache.set(cacheKey, { accessToken: token.access_token, refreshAt: Date.now() + lifetime - margin });
+      return token.access_token${t(' as string')};
+    })().finally(() => pendingTokens.delete(cacheKey));
+    pendingTokens.set(cacheKey, request);
+  }
+  return pendingTokens.get(cacheKey);
+}
+
+/**
+ * Drop the cached token of a scheme and scope set after the API rejected it, so the next
+ * getOAuthToken call fetches a new one. Returns false when no token was cached, e.g. for a
+ * static <SCHEME>_ACCESS_TOKEN.
+ */
+function invalidateOAuthToken(schemeName${t(': string')}, scopes${t(': string[]')})${t(': boolean')} {
+  return tokenCache.delete(\`\${schemeName} \${oauthScope(schemeName, scopes)}\`);
+}
+`;
+}
+
+/**
+ * Generate the credential passthrough used by multi-tenant HTTP deployments
+ */
+function generateCredentialPassthrough(typescript) {
+    const t = typed(typescript);
+    return `/**
+ * The caller's credential for a security scheme, taken from the incoming HTTP request header
+ * named by <SCHEME>_PASSTHROUGH_HEADER. Returns null when passthrough is not configured for the
+ * scheme or the call did not arrive over HTTP, and "" when the caller sent no such header.
+ * The value must never be logged.
+ */
+function passthroughCredential(schemeName${t(': string')}, requestHeaders${t(': Record<string, string | string[] | undefined> | undefined')})${t(': string | null')} {
+  const headerName = process.env[\`\${schemeName.toUpperCase()}_PASSTHROUGH_HEADER\`];
+  if (!headerName || !requestHeaders) return null;
+  const value = requestHeaders[headerName.toLowerCase()];
+  return (Array.isArray(value) ? value[0] : value) || "";
+}
+
+/**
+ * Put a forwarded credential where the security scheme expects it
+ */
+function applyPassthroughCredential(config${t(': AxiosRequestConfig')}, scheme${t(': SecurityScheme')}, credential${t(': string')})${t(': void')} {
+  const headers${t(': Record<string, any>')} = (config.headers = config.headers || {});
+  if (scheme.type === "apiKey" && scheme.in === "query") {
+    config.params = { ...config.params, [scheme.name${t('!')}]: credential };
+  } else if (scheme.type === "apiKey" && scheme.in === "cookie") {
+    headers["Cookie"] = [headers["Cookie"], \`\${scheme.name}=\${encodeURIComponent(credential)}\`].filter(Boolean).join("; ");
+  } else if (scheme.type === "apiKey") {
+    headers[scheme.name${t('!')}] = credential;
+  } else if (scheme.type === "http" && scheme.scheme?.toLowerCase() !== "bearer") {
+    // Basic and other HTTP schemes forward the caller's full Authorization value
+    headers["Authorization"] = credential;
+  } else {
+    // Bearer, OAuth2 and OpenID Connect forward the caller's access token
+    headers["Authorization"] = /^bearer\\s/i.test(credential) ? credential : \`Bearer \${credential}\`;
+  }
+}
+`;
+}
+
+/**
+ * Generate the server selection that turns the spec's servers into a base URL
+ */
+function generateServerSelector(typescript) {
+    const t = typed(typescript);
+    return `/**
+ * Pick a server by index or name (API_SERVER) and fill in its variables from API_SERVER_<VARIABLE>.
+ * Operation-level servers (\`strict\` false) are only matched by name and fall back to their first entry.
+ */
+function resolveServerUrl(servers${t(': ApiServer[]')}, selection${t(': string | undefined')}, strict${t(': boolean')} = true)${t(': string')} {
+  if (servers.length === 0) return "";
+  let server = servers[0];
+  if (selection) {
+    const byName = (candidate${t(': ApiServer')}) =>
+      [candidate.name, candidate.description].some((label) => label?.toLowerCase() === selection.toLowerCase());
+    const match = /^\\d+$/.test(selection) ? (strict ? servers[Number(selection)] : undefined) : servers.find(byName);
+    // A name that only matches operation-level servers keeps the first server for everything else
+    const operationServers = TOOLS.flatMap((tool) => tool.servers || []);
+    if (match) {
+      server = match;
+    } else if (strict && !operationServers.some(byName)) {
+      const names = [...servers, ...operationServers].map((candidate) => candidate.name || candidate.description).filter(Boolean);
+      throw new Error(\`Unknown API_SERVER "\${selection}", expected an index below \${servers.length} or one of: \${names.join(", ")}\`);
+    }
+  }
+
+  let url = server.url;
+  for (const [name, variable] of Object.entries(server.variables || {})) {
+    const value = process.env[variable.env] || variable.default;
+    if (variable.enum && !variable.enum.includes(value)) {
+      throw new Error(\`\${variable.env}="\${value}" is not allowed for server variable {\${name}}, expected one of: \${variable.enum.join(", ")}\`);
+    }
+    url = url.split(\`{\${name}}\`).join(value);
+  }
+  return url;
+}
+
+/**
+ * Base URL of the selected server. API_BASE_URL completes a relative server URL (e.g. /api/v3)
+ * with the API's origin, and replaces an absolute one of the spec's global servers; absolute
+ * operation-level servers (\`strict\` false) are kept, so per-operation hosts still apply.
+ */
+function serverBaseUrl(servers${t(': ApiServer[]')}, selection${t(': string | undefined')}, strict${t(': boolean')} = true)${t(': string')} {
+  const url = resolveServerUrl(servers, selection, strict);
+  const override = process.env.API_BASE_URL;
+  if (/^[a-z][a-z0-9+.-]*:\\/\\//i.test(url)) return (strict && override) || url;
+  if (!override) {
+    throw new Error(url
+      ? \`Server URL "\${url}" is relative; set API_BASE_URL to the API's origin (e.g. https://api.example.com)\`
+      : "No server URL in the OpenAPI spec; set API_BASE_URL");
+  }
+  return url ? new URL(url, override).toString() : override;
+}
+`;
+}
+
+/**
+ * Generate the request policy: timeouts, retries with backoff and token-bucket rate limiting
+ */
+function generateRequestPolicy(typescript) {
+    const t = typed(typescript);
+    return `// Upstream answers worth retrying, and connection failures where no response arrived
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "ERR_NETWORK"];
+
+function sleep(ms${t(': number')})${t(': Promise<void>')} {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Token bucket allowing \`rate\` requests per second with bursts of up to \`capacity\`
+ */
+class TokenBucket {
+${typescript ? `  private rate: number;
+  private capacity: number;
+  private tokens: number;
+  private updated: number;
+
+` : ''}  constructor(rate${t(': number')}, burst${t(': number')}) {
+    this.rate = rate;
+    this.capacity = Math.max(1, burst || Math.ceil(rate));
+    this.tokens = this.capacity;
+    this.updated = Date.now();
+  }
+
+  /**
+   * Wait until a token is available and take it
+   */
+  async take()${t(': Promise<void>')} {
+    for (;;) {
+      const now = Date.now();
+      this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updated) / 1000) * this.rate);
+      this.updated = now;
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - this.tokens) / this.rate) * 1000));
+    }
+  }
+}
+
+// One bucket for the whole API ("*") plus one per tool that sets its own rate limit
+const rateLimiters = new Map${t('<string, TokenBucket>')}();
+
+function rateLimiter(key${t(': string')}, rate${t(': number | undefined')}, burst${t(': number | undefined')})${t(': TokenBucket | undefined')} {
+  if (!rate || rate <= 0) return undefined;
+  if (!rateLimiters.has(key)) {
+    rateLimiters.set(key, new TokenBucket(rate, burst || 0));
+  }
+  return rateLimiters.get(key);
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header (seconds or HTTP date)
+ */
+function parseRetryAfter(value${t(': any')})${t(': number | undefined')} {
+  if (value === undefined || value === null || value === "") return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(String(value));
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * How long to wait before retrying a failed request, or null to give up.
+ * Only idempotent tools are retried, except on 429 where the upstream did not process the request.
+ */
+function retryDelay(tool${t(': OpenApiTool')}, error${t(': any')}, attempt${t(': number')}, policy${t(': Required<RequestPolicy>')})${t(': number | null')} {
+  if (attempt >= policy.retries || !axios.isAxiosError(error)) return null;
+  const status = error.response?.status;
+  const retryable = status === undefined ? RETRYABLE_ERROR_CODES.includes(error.code || "") : RETRYABLE_STATUSES.includes(status);
+  if (!retryable || (status !== 429 && !tool.annotations?.idempotentHint)) return null;
+
+  // Honor Retry-After, but give up rather than wait longer than the backoff cap
+  const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+  if (retryAfter !== undefined) {
+    return retryAfter <= policy.retryMaxDelayMs ? retryAfter : null;
+  }
+  // Exponential backoff with full jitter
+  return Math.round(Math.random() * Math.min(policy.retryMaxDelayMs, policy.retryBaseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Send a request under the tool's policy (global defaults overridden by x-mcp-request-policy)
+ */
+async function sendWithPolicy(tool${t(': OpenApiTool')}, config${t(': AxiosRequestConfig')}, onRetry${t(': (message: string) => void')})${t(': Promise<AxiosResponse>')} {
+  const policy${t(': Required<RequestPolicy>')} = { ...REQUEST_POLICY, ...tool.requestPolicy };
+  const limiters = [
+    rateLimiter("*", REQUEST_POLICY.rateLimit, REQUEST_POLICY.burst),
+    rateLimiter(\`tool:\${tool.name}\`, tool.requestPolicy?.rateLimit, tool.requestPolicy?.burst),
+  ];
+
+  for (let attempt = 0; ; attempt++) {
+    for (const limiter of limiters) {
+      await limiter?.take();
+    }
+    try {
+      return await axios({ ...config, timeout: policy.timeoutMs });
+    } catch (error) {
+      const delay = retryDelay(tool, error, attempt, policy);
+      if (delay === null) throw error;
+      const reason = (error${t(' as AxiosError')}).response?.status ?? (error${t(' as AxiosError')}).code;
+      onRetry(\`\${tool.name} failed (\${reason}), retry \${attempt + 1} of \${policy.retries} in \${delay} ms\`);
+      await sleep(delay);
+    }
+  }
+}
+`;
+}
+
+/**
+ * Generate the response handling that turns raw API responses into MCP content
+ */
+function generateResponseFormatter(typescript) {
+    const t = typed(typescript);
+    return `// Text returned to the model is cut at MAX_RESPONSE_BYTES, or at MAX_RESPONSE_TOKENS (about 4 bytes each) if lower; 0 disables a limit
+const MAX_RESPONSE_BYTES = Number(process.env.MAX_RESPONSE_BYTES ?? 100000);
+const MAX_RESPONSE_TOKENS = Number(process.env.MAX_RESPONSE_TOKENS ?? 0);
+const RESPONSE_BUDGET_BYTES = Math.min(MAX_RESPONSE_BYTES || Infinity, MAX_RESPONSE_TOKENS * 4 || Infinity);
+// Images, audio and other binaries larger than this are described instead of returned
+const MAX_BINARY_BYTES = Number(process.env.MAX_BINARY_BYTES ?? 5 * 1024 * 1024);
+// JSON results are compact unless JSON_FORMAT=pretty
+const JSON_INDENT = process.env.JSON_FORMAT === "pretty" ? 2 : undefined;
+
+/**
+ * Media type of a Content-Type header without parameters, lower-cased
+ */
+function mediaTypeOf(contentType${t(': any')})${t(': string')} {
+  return String(contentType || "").split(";")[0].trim().toLowerCase();
+}
+
+function isJsonMime(mimeType${t(': string')})${t(': boolean')} {
+  return mimeType === "application/json" || mimeType.endsWith("+json");
+}
+
+function isTextMime(mimeType${t(': string')})${t(': boolean')} {
+  return mimeType.startsWith("text/") || mimeType.endsWith("+xml") || [
+    "application/xml", "application/javascript", "application/x-www-form-urlencoded",
+    "application/yaml", "application/x-yaml", "application/graphql",
+  ].includes(mimeType);
+}
+
+/**
+ * Decode a raw response body by its Content-Type: JSON is parsed, text is decoded and
+ * anything else stays a Buffer. Bodies without a Content-Type are parsed as JSON when possible.
+ */
+function decodeResponseBody(data${t(': any')}, contentType${t(': any')})${t(': any')} {
+  if (!Buffer.isBuffer(data) && !(data instanceof ArrayBuffer)) return data;
+  const buffer = Buffer.from(data${t(' as Buffer')});
+  const mimeType = mediaTypeOf(contentType);
+  if (buffer.length === 0) return "";
+  if (!mimeType || isJsonMime(mimeType)) {
+    const text = buffer.toString("utf8");
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return isTextMime(mimeType) ? buffer.toString("utf8") : buffer;
+}
+
+/**
+ * Cut text to the response budget on a character boundary, with a marker saying what was left out
+ */
+function truncateText(text${t(': string')})${t(': string')} {
+  const size = Buffer.byteLength(text, "utf8");
+  if (size <= RESPONSE_BUDGET_BYTES) return text;
+  const kept = Buffer.from(text, "utf8").subarray(0, RESPONSE_BUDGET_BYTES).toString("utf8").replace(/\\uFFFD$/, "");
+  return \`\${kept}\\n\\n[truncated: showing \${Buffer.byteLength(kept, "utf8")} of \${size} bytes; raise MAX_RESPONSE_BYTES or MAX_RESPONSE_TOKENS to see more]\`;
+}
+
+/**
+ * Fit a JSON result into the response budget by dropping items from the end of its item array
+ * (the result itself, or its largest top-level array), so the shortened result keeps its shape.
+ * Returns null when no such array can make it fit.
+ */
+function fitToBudget(result${t(': any')})${t(': { value: any; shown: number; total: number } | null')} {
+  const size = (value${t(': any')}) => Buffer.byteLength(JSON.stringify(value, null, JSON_INDENT) ?? "", "utf8");
+  let itemsPath${t(': string[] | undefined')};
+  if (Array.isArray(result)) {
+    itemsPath = [];
+  } else if (result !== null && typeof result === "object") {
+    const arrays = Object.keys(result).filter((key) => Array.isArray(result[key]));
+    itemsPath = arrays.length > 0 ? [arrays.reduce((a, b) => (size(result[b]) > size(result[a]) ? b : a))] : undefined;
+  }
+  if (!itemsPath) return null;
+
+  const items${t(': any[]')} = getPath(result, itemsPath);
+  const withItems = (count${t(': number')}) => setPath(result, itemsPath${t('!')}, items.slice(0, count));
+  if (size(withItems(0)) > RESPONSE_BUDGET_BYTES) return null;
+  // Binary search for the most items that fit
+  let low = 0;
+  let high = items.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (size(withItems(middle)) <= RESPONSE_BUDGET_BYTES) low = middle;
+    else high = middle - 1;
+  }
+  return { value: withItems(low), shown: low, total: items.length };
+}
+
+/**
+ * Turn a decoded response body into MCP content: images and audio as their own content types,
+ * other binaries as embedded resources, and text or JSON within the response budget.
+ * \`structured\` is the result to return as structuredContent: JSON over the budget is shortened
+ * the same way as the text, and undefined when it could only be cut as text.
+ */
+function formatResultContent(result${t(': any')}, contentType${t(': any')}, url${t(': string')})${t(': { content: Record<string, any>[]; structured: any }')} {
+  const mimeType = mediaTypeOf(contentType) || "application/octet-stream";
+  if (Buffer.isBuffer(result)) {
+    if (MAX_BINARY_BYTES > 0 && result.length > MAX_BINARY_BYTES) {
+      return {
+        content: [{ type: "text", text: \`Binary response omitted: \${result.length} bytes of \${mimeType} exceed MAX_BINARY_BYTES (\${MAX_BINARY_BYTES})\` }],
+        structured: undefined,
+      };
+    }
+    const data = result.toString("base64");
+    if (mimeType.startsWith("image/")) return { content: [{ type: "image", data, mimeType }], structured: undefined };
+    if (mimeType.startsWith("audio/")) return { content: [{ type: "audio", data, mimeType }], structured: undefined };
+    return { content: [{ type: "resource", resource: { uri: url, mimeType, blob: data } }], structured: undefined };
+  }
+
+  const text = (typeof result === "string" ? result : JSON.stringify(result, null, JSON_INDENT)) ?? "";
+  if (Buffer.byteLength(text, "utf8") <= RESPONSE_BUDGET_BYTES) {
+    return { content: [{ type: "text", text }], structured: result };
+  }
+  const fitted = typeof result === "string" ? null : fitToBudget(result);
+  if (fitted) {
+    const marker = \`[truncated: showing \${fitted.shown} of \${fitted.total} items; raise MAX_RESPONSE_BYTES or MAX_RESPONSE_TOKENS to see more]\`;
+    return { content: [{ type: "text", text: \`\${JSON.stringify(fitted.value, null, JSON_INDENT)}\\n\\n\${marker}\` }], structured: fitted.value };
+  }
+  return { content: [{ type: "text", text: truncateText(text) }], structured: undefined };
+}
+
+// Output schemas compiled on first use, by tool id; null when one does not compile.
+// Unlike the argument validator this one leaves the result untouched (no defaults filled in).
+const outputAjv = new Ajv2020({ strict: false, logger: false });
+addFormats(outputAjv);
+const outputValidators = new Map${t('<string, ValidateFunction | null>')}();
+
+/**
+ * structuredContent of a tool with an outputSchema: the result in the schema's shape, under
+ * \`filtered\` for filter results and \`result\` for wrapped ones. Results that do not conform
+ * (binary or text bodies, JSON too large to shorten) become {}, which every generated output
+ * schema accepts as it requires no field.
+ */
+function structuredResult(tool${t(': OpenApiTool')}, structured${t(': any')}, filtered${t(': boolean')})${t(': Record<string, any>')} {
+  if (structured === undefined) return {};
+  const value = filtered ? { filtered: structured } : tool.outputWrapped ? { result: structured } : structured;
+  if (value === null || typeof value !== "object" || Array.isArray(value)) return {};
+  if (!outputValidators.has(tool.id)) {
+    try {
+      outputValidators.set(tool.id, outputAjv.compile(tool.outputSchema${t('!')}));
+    } catch {
+      outputValidators.set(tool.id, null);
+    }
+  }
+  const validate = outputValidators.get(tool.id);
+  return !validate || validate(value) ? value : {};
+}
+`;
+}
+
+/**
+ * Generate the pagination runtime that follows list operations across pages
+ */
+function generatePaginator(typescript) {
+    const t = typed(typescript);
+    return `// Most pages one tool call may fetch, whatever maxPages asks for
+const PAGINATION_MAX_PAGES = Number(process.env.PAGINATION_MAX_PAGES ?? 10);
+
+function getPath(value${t(': any')}, path${t(': string[]')})${t(': any')} {
+  return path.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+/**
+ * Copy of \`value\` with \`item\` stored at \`path\`
+ */
+function setPath(value${t(': any')}, path${t(': string[]')}, item${t(': any')})${t(': any')} {
+  if (path.length === 0) return item;
+  const [key, ...rest] = path;
+  return { ...value, [key]: setPath(value?.[key], rest, item) };
+}
+
+/**
+ * Copy of \`value\` without the field at \`path\`
+ */
+function deletePath(value${t(': any')}, path${t(': string[]')})${t(': any')} {
+  if (path.length === 0 || value === null || typeof value !== "object" || !(path[0] in value)) return value;
+  const [key, ...rest] = path;
+  const copy = { ...value };
+  if (rest.length === 0) delete copy[key];
+  else copy[key] = deletePath(value[key], rest);
+  return copy;
+}
+
+/**
+ * Take the maxPages/maxItems arguments out of a paginated tool's arguments.
+ * Returns null when the call asked for neither, so only the first page is fetched as-is.
+ */
+function takePageLimits(tool${t(': OpenApiTool')}, args${t(': Record<string, any>')})${t(': PageLimits | null')} {
+  if (!tool.pagination) return null;
+  const { maxPages, maxItems } = args;
+  delete args.maxPages;
+  delete args.maxItems;
+  if (maxPages === undefined && maxItems === undefined) return null;
+  return { maxPages: Math.min(maxPages ?? PAGINATION_MAX_PAGES, PAGINATION_MAX_PAGES), maxItems };
+}
+
+/**
+ * URL of the rel="next" entry of a Link header
+ */
+function nextLinkUrl(header${t(': any')})${t(': string | undefined')} {
+  for (const part of String(header || "").split(/,(?=\\s*<)/)) {
+    const match = part.match(/<([^>]*)>(.*)/);
+    if (match && /;\\s*rel="?[^";]*\\bnext\\b/i.test(match[2])) return match[1];
+  }
+  return undefined;
+}
+
+/**
+ * Replace (or add) one query parameter, leaving the rest of the query string as serialized
+ */
+function withQueryParam(url${t(': string')}, name${t(': string')}, value${t(': any')})${t(': string')} {
+  const queryStart = url.indexOf("?");
+  const base = queryStart === -1 ? url : url.slice(0, queryStart);
+  const query = queryStart === -1 ? "" : url.slice(queryStart + 1);
+  const key = encodeURIComponent(name);
+  const pairs = query.split("&").filter((pair) => pair && pair.split("=")[0] !== key);
+  pairs.push(\`\${key}=\${encodeURIComponent(String(value))}\`);
+  return \`\${base}?\${pairs.join("&")}\`;
+}
+
+/**
+ * Follow a paginated list operation from its first response, merging the items of each page
+ * until there is no next page or the maxPages/maxItems limits are reached.
+ * Next page URLs on another origin are not followed, so credentials stay with the API.
+ */
+async function collectPages(tool${t(': OpenApiTool')}, args${t(': Record<string, any>')}, limits${t(': PageLimits')}, config${t(': AxiosRequestConfig')}, firstResponse${t(': AxiosResponse')}, send${t(': (config: AxiosRequestConfig) => Promise<AxiosResponse>')}) {
+  const pagination = tool.pagination${t('!')};
+  const maxPages = limits.maxPages ?? (limits.maxItems ? PAGINATION_MAX_PAGES : 1);
+  const maxItems = limits.maxItems ?? Infinity;
+  const limit = pagination.limitArgument ? Number(args[pagination.limitArgument]) || undefined : undefined;
+  // Offsets count items from the requested offset; page numbers count from the requested page
+  let position = Number(args[pagination.argument || ""]) || (pagination.style === "page" ? 1 : 0);
+
+  let response = firstResponse;
+  let url = config.url${t('!')};
+  let body = decodeResponseBody(response.data, response.headers["content-type"]);
+  const items${t(': any[]')} = [];
+  const visited = new Set([url]);
+  let pages = 1;
+  let hasMore = false;
+
+  for (;;) {
+    const pageItems = getPath(body, pagination.itemsPath);
+    if (!Array.isArray(pageItems)) break;
+    items.push(...pageItems);
+
+    let next${t(': string | undefined')};
+    if (pageItems.length > 0 && !(limit && pageItems.length < limit)) {
+      if (pagination.style === "link") {
+        const link = nextLinkUrl(response.headers["link"]);
+        next = link && new URL(link, url).toString();
+      } else if (pagination.style === "next") {
+        const value = getPath(body, pagination.nextPath || []);
+        const target = value && typeof value === "object" ? value.href : value;
+        // Some APIs put a bare cursor in their "next" field
+        if (target && pagination.param && !/[/?]/.test(String(target))) next = withQueryParam(url, pagination.param, target);
+        else if (target) next = new URL(String(target), url).toString();
+      } else if (pagination.style === "cursor") {
+        const cursor = getPath(body, pagination.cursorPath || []);
+        if (cursor !== undefined && cursor !== null && cursor !== "") next = withQueryParam(url, pagination.param${t('!')}, cursor);
+      } else {
+        position += pagination.style === "page" ? 1 : pageItems.length;
+        next = withQueryParam(url, pagination.param${t('!')}, position);
+      }
+    }
+    if (next && (new URL(next).origin !== new URL(url).origin || visited.has(next))) next = undefined;
+
+    hasMore = Boolean(next);
+    if (!next || pages >= maxPages || items.length >= maxItems) break;
+
+    visited.add(next);
+    url = next;
+    response = await send({ ...config, url });
+    body = decodeResponseBody(response.data, response.headers["content-type"]);
+    pages++;
+  }
+
+  const merged = items.slice(0, maxItems);
+  let data = Array.isArray(getPath(body, pagination.itemsPath)) ? setPath(body, pagination.itemsPath, merged) : body;
+  // Items were cut from the last page: its cursor or next link would skip them, so it is dropped
+  if (items.length > merged.length) {
+    for (const path of [pagination.cursorPath, pagination.nextPath]) {
+      if (path?.length) data = deletePath(data, path);
+    }
+  }
+  return {
+    data,
+    response,
+    pageInfo: { pages, items: merged.length, hasMore: hasMore || items.length > merged.length },
+  };
+}
+`;
+}
+
+/**
+ * Generate the response projection behind the fields and filter arguments
+ */
+function generateProjection(typescript) {
+    const t = typed(typescript);
+    return `/**
+ * Take the fields/filter arguments out of a tool's arguments; null when neither was passed
+ */
+function takeProjection(tool${t(': OpenApiTool')}, args${t(': Record<string, any>')})${t(': Projection | null')} {
+  if (!tool.projection) return null;
+  const fields = tool.projection.fields ? args[tool.projection.fields] : undefined;
+  const filter = tool.projection.filter ? args[tool.projection.filter] : undefined;
+  for (const argName of Object.values(tool.projection)) {
+    delete args[argName];
+  }
+  return fields?.length || filter ? { fields, filter } : null;
+}
+
+/**
+ * Keep only the given dot paths of a value; arrays are projected item by item
+ */
+function projectFields(value${t(': any')}, paths${t(': string[]')})${t(': any')} {
+  if (Array.isArray(value)) return value.map((item) => projectFields(item, paths));
+  if (value === null || typeof value !== "object") return value;
+
+  // Group the remaining path segments by their first one
+  const nested = new Map${t('<string, string[]>')}();
+  for (const path of paths) {
+    const [head, ...rest] = path.split(".");
+    if (!(head in value)) continue;
+    nested.set(head, [...(nested.get(head) || []), rest.join(".")]);
+  }
+  const result${t(': Record<string, any>')} = {};
+  for (const [key, rest] of nested) {
+    result[key] = rest.includes("") ? value[key] : projectFields(value[key], rest);
+  }
+  return result;
+}
+
+/**
+ * Apply the JMESPath filter, then the fields projection, to a decoded JSON response
+ */
+function applyProjection(result${t(': any')}, projection${t(': Projection')})${t(': any')} {
+  if (result === null || typeof result !== "object" || Buffer.isBuffer(result)) return result;
+  let projected = result;
+  if (projection.filter) {
+    try {
+      projected = jmespath.search(projected, projection.filter);
+    } catch (error) {
+      throw new Error(\`Invalid filter expression "\${projection.filter}": \${error instanceof Error ? error.message : String(error)}\`);
+    }
+  }
+  return projection.fields?.length ? projectFields(projected, projection.fields) : projected;
+}
+`;
+}
+
+export {
+    generateParamSerializers, generateBodyEncoders, generateErrorFormatter, generateArgumentValidator,
+    generateHttpTransport, generateOAuthClient, generateCredentialPassthrough, generateServerSelector,
+    generateRequestPolicy, generateResponseFormatter, generatePaginator, generateProjection
+};
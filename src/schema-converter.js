@@ -0,0 +1,230 @@
+import { resolveRef } from './utils.js';
+
+// Keywords whose value is a single subschema
+const SUBSCHEMA_KEYWORDS = [
+    'not', 'additionalProperties', 'unevaluatedProperties', 'unevaluatedItems', 'propertyNames',
+    'contains', 'if', 'then', 'else', 'contentSchema'
+];
+
+// Keywords whose value is a list of subschemas
+const SUBSCHEMA_LIST_KEYWORDS = ['oneOf', 'anyOf', 'prefixItems'];
+
+// Keywords whose value maps names to subschemas
+const SUBSCHEMA_MAP_KEYWORDS = ['patternProperties', 'dependentSchemas'];
+
+// OpenAPI-only keywords that have no JSON Schema meaning
+const DROPPED_KEYWORDS = new Set(['xml', 'externalDocs', 'nullable', 'example', 'discriminator', '$ref', 'allOf', '$schema', '$id']);
+
+/**
+ * Name used for a component under the tool inputSchema's $defs
+ */
+function getDefName(ref) {
+    return ref.split('/').pop().replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+/**
+ * Create the per-tool state used while converting schemas.
+ * `stack` holds the refs currently being expanded, `defs` collects the
+ * recursive components that are emitted under the inputSchema's $defs.
+ * `mode` is 'input' (readOnly properties are dropped) or 'output' (writeOnly ones are).
+ */
+function createSchemaContext(toolName, mode = 'input') {
+    return { toolName, mode, stack: [], recursive: new Set(), defs: {} };
+}
+
+/**
+ * Convert a referenced component, emitting recursive ones under $defs
+ */
+function convertRefSchema(spec, ref, context) {
+    // A ref that is already being expanded is a cycle: point back at $defs instead of recursing
+    if (context.stack.includes(ref)) {
+        if (!context.recursive.has(ref)) {
+            const cycle = [...context.stack.slice(context.stack.indexOf(ref)), ref].map(getDefName);
+            console.warn(`Warning: Circular schema reference ${cycle.join(' -> ')} in ${context.toolName}, emitting it as $defs/${getDefName(ref)}`);
+            context.recursive.add(ref);
+        }
+        return { $ref: `#/$defs/${getDefName(ref)}` };
+    }
+
+    context.stack.push(ref);
+    const converted = convertSchema(spec, resolveRef(spec, ref), context);
+    context.stack.pop();
+
+    if (context.recursive.has(ref)) {
+        context.defs[getDefName(ref)] = converted;
+    }
+    return converted;
+}
+
+/**
+ * Add null to a converted schema (OpenAPI 3.0 `nullable: true`)
+ */
+function makeNullable(schema) {
+    if (Array.isArray(schema.type)) {
+        if (!schema.type.includes('null')) schema.type = [...schema.type, 'null'];
+    } else if (schema.type) {
+        schema.type = [schema.type, 'null'];
+    } else {
+        return { anyOf: [schema, { type: 'null' }] };
+    }
+    if (schema.enum && !schema.enum.includes(null)) {
+        schema.enum = [...schema.enum, null];
+    }
+    return schema;
+}
+
+/**
+ * Merge converted allOf members into one schema.
+ * Returns null when the members cannot be merged without changing their meaning.
+ */
+function mergeAllOf(members) {
+    const merged = {};
+    for (const member of members) {
+        if (member.$ref || member.anyOf || member.oneOf || member.not) {
+            return null;
+        }
+        for (const [key, value] of Object.entries(member)) {
+            if (key === 'properties') {
+                merged.properties = { ...merged.properties, ...value };
+            } else if (key === 'required') {
+                merged.required = [...new Set([...(merged.required || []), ...value])];
+            } else if (key === 'type' && merged.type !== undefined) {
+                if (JSON.stringify(merged.type) !== JSON.stringify(value)) return null;
+            } else if ((key === 'description' || key === 'title') && merged[key] !== undefined) {
+                continue;
+            } else {
+                merged[key] = value;
+            }
+        }
+    }
+    return merged;
+}
+
+/**
+ * Pin the discriminator property of each oneOf/anyOf branch to its mapped value,
+ * so the choice of branch is visible in the JSON Schema.
+ */
+function applyDiscriminator(discriminator, branches, originals) {
+    const { propertyName, mapping = {} } = discriminator;
+    const valueByRef = Object.fromEntries(Object.entries(mapping).map(([value, ref]) => [ref, value]));
+
+    return branches.map((branch, index) => {
+        const ref = originals[index]?.$ref;
+        if (!ref || !branch.properties?.[propertyName]) return branch;
+
+        const value = valueByRef[ref] ?? getDefName(ref);
+        return {
+            ...branch,
+            properties: {
+                ...branch.properties,
+                [propertyName]: { ...branch.properties[propertyName], const: value }
+            }
+        };
+    });
+}
+
+/**
+ * Convert an OpenAPI 3.0/3.1 schema object into JSON Schema for a tool's inputSchema
+ * (or outputSchema). $refs are inlined, recursive ones are emitted under $defs.
+ */
+function convertSchema(spec, schema, context = createSchemaContext('schema')) {
+    if (typeof schema === 'boolean') {
+        return schema;
+    }
+    if (!schema || typeof schema !== 'object') {
+        return {};
+    }
+
+    if (typeof schema.$ref === 'string') {
+        const converted = convertRefSchema(spec, schema.$ref, context);
+        // OpenAPI 3.1 allows description/summary next to $ref
+        return schema.description ? { ...converted, description: schema.description } : converted;
+    }
+
+    let result = {};
+
+    if (Array.isArray(schema.allOf)) {
+        const members = schema.allOf.map(member => convertSchema(spec, member, context));
+        const merged = mergeAllOf(members);
+        if (merged) {
+            result = merged;
+        } else {
+            result.allOf = members;
+        }
+    }
+
+    for (const [key, value] of Object.entries(schema)) {
+        if (DROPPED_KEYWORDS.has(key) || key.startsWith('x-')) {
+            continue;
+        }
+
+        if (key === 'properties') {
+            const properties = { ...result.properties };
+            for (const [propName, propSchema] of Object.entries(value || {})) {
+                const converted = convertSchema(spec, propSchema, context);
+                // Request schemas never carry readOnly fields, responses never carry writeOnly ones
+                if ((context.mode === 'input' && converted.readOnly) || (context.mode === 'output' && converted.writeOnly)) {
+                    continue;
+                }
+                properties[propName] = converted;
+            }
+            result.properties = properties;
+        } else if (key === 'required') {
+            result.required = [...new Set([...(result.required || []), ...value])];
+        } else if (key === 'items') {
+            // Tuple-style items (draft 4-7) become prefixItems
+            if (Array.isArray(value)) {
+                result.prefixItems = value.map(item => convertSchema(spec, item, context));
+            } else {
+                result.items = convertSchema(spec, value, context);
+            }
+        } else if (SUBSCHEMA_KEYWORDS.includes(key) && typeof value === 'object') {
+            result[key] = convertSchema(spec, value, context);
+        } else if (SUBSCHEMA_LIST_KEYWORDS.includes(key)) {
+            result[key] = value.map(member => convertSchema(spec, member, context));
+        } else if (SUBSCHEMA_MAP_KEYWORDS.includes(key)) {
+            result[key] = Object.fromEntries(
+                Object.entries(value).map(([name, member]) => [name, convertSchema(spec, member, context)])
+            );
+        } else if ((key === 'exclusiveMinimum' || key === 'exclusiveMaximum') && typeof value === 'boolean') {
+            // OpenAPI 3.0 boolean form modifies minimum/maximum
+            const bound = key === 'exclusiveMinimum' ? 'minimum' : 'maximum';
+            if (value && schema[bound] !== undefined) {
+                result[key] = schema[bound];
+            }
+        } else if ((key === 'minimum' || key === 'maximum') && schema[key === 'minimum' ? 'exclusiveMinimum' : 'exclusiveMaximum'] === true) {
+            continue;
+        } else {
+            result[key] = value;
+        }
+    }
+
+    // Drop required entries for properties that were filtered out (readOnly/writeOnly)
+    if (result.required && result.properties && !schema.allOf) {
+        result.required = result.required.filter(name => name in result.properties || !(name in (schema.properties || {})));
+    }
+    if (result.required && result.required.length === 0) {
+        delete result.required;
+    }
+
+    if (schema.example !== undefined && result.examples === undefined) {
+        result.examples = [schema.example];
+    }
+
+    if (schema.discriminator?.propertyName) {
+        for (const keyword of ['oneOf', 'anyOf']) {
+            if (result[keyword]) {
+                result[keyword] = applyDiscriminator(schema.discriminator, result[keyword], schema[keyword]);
+            }
+        }
+        result.discriminator = { propertyName: schema.discriminator.propertyName };
+    }
+
+    if (schema.nullable === true) {
+        result = makeNullable(result);
+    }
+
+    return result;
+}
+
+export { convertSchema, createSchemaContext };
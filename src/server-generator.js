@@ -1,9 +1,16 @@
+import {
+    generateParamSerializers, generateBodyEncoders, generateErrorFormatter, generateArgumentValidator,
+    generateHttpTransport, generateOAuthClient, generateCredentialPassthrough, generateServerSelector,
+    generateRequestPolicy, generateResponseFormatter, generatePaginator, generateProjection
+} from './runtime-generator.js';
+
 /**
  * Generate the main server.js file with fixes for MCP compatibility
  */
-function generateServerFile(config, spec, toolMap, securitySchemes) {
+function generateServerFile(config, spec, toolMap, securitySchemes, servers = []) {
     console.log('Generating server.js file...');
     const toolsArray = Object.values(toolMap);
+    const policy = config.requestPolicy;
     const hasSecuritySchemes = Object.keys(securitySchemes).length > 0;
 
     // Create JavaScript version with fixes for MCP compatibility
@@ -11,19 +18,29 @@ function generateServerFile(config, spec, toolMap, securitySchemes) {
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
 import axios from "axios";
 import { config as dotenvConfig } from "dotenv";
+import { Ajv2020 } from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+import jmespath from "jmespath";
 import {
   ListToolsRequestSchema,
   CallToolRequestSchema,
-  InitializedNotificationSchema,
   SetLevelRequestSchema,
   EmptyResultSchema,
+  McpError,
+  ErrorCode,
+  isInitializeRequest,
 } from "@modelcontextprotocol/sdk/types.js";
 
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import path from 'path';
+import { readFile, realpath } from 'fs/promises';
+import { createServer as createHttpServer } from 'http';
+import { randomUUID } from 'crypto';
 // Load environment variables
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -34,7 +51,36 @@ dotenvConfig({ path: dotenvPath });
 // Define tool schemas
 const TOOLS = ${JSON.stringify(toolsArray, null, 2)};
 const SECURITY_SCHEMES = ${JSON.stringify(securitySchemes, null, 2)};
-
+// Servers from the spec; API_BASE_URL overrides them all
+const SERVERS = ${JSON.stringify(servers, null, 2)};
+
+// Transport (stdio, http or sse) and HTTP listener; the environment overrides the generated defaults
+const TRANSPORT = process.env.TRANSPORT || "${config.transport}";
+const HTTP_PORT = Number(process.env.PORT) || ${config.port};
+const HTTP_HOST = process.env.HOST || "127.0.0.1";
+
+// Request policy for every tool; the environment overrides the generated defaults
+const REQUEST_POLICY = {
+  timeoutMs: Number(process.env.REQUEST_TIMEOUT_MS ?? ${policy.timeoutMs}),
+  retries: Number(process.env.REQUEST_RETRIES ?? ${policy.retries}),
+  retryBaseDelayMs: Number(process.env.RETRY_BASE_DELAY_MS ?? ${policy.retryBaseDelayMs}),
+  retryMaxDelayMs: Number(process.env.RETRY_MAX_DELAY_MS ?? ${policy.retryMaxDelayMs}),
+  rateLimit: Number(process.env.RATE_LIMIT_RPS ?? ${policy.rateLimit}),
+  burst: Number(process.env.RATE_LIMIT_BURST ?? ${policy.burst}),
+};
+
+${generateParamSerializers(false)}
+${generateBodyEncoders(false)}
+${generateErrorFormatter(false)}
+${generateArgumentValidator(false)}
+${generateHttpTransport(false)}
+${generateOAuthClient(false)}
+${generateCredentialPassthrough(false)}
+${generateServerSelector(false)}
+${generateRequestPolicy(false)}
+${generateResponseFormatter(false)}
+${generatePaginator(false)}
+${generateProjection(false)}
 /**
  * MCP Server for ${spec.info?.title || 'OpenAPI'} API
  * Generated from OpenAPI spec version ${spec.info?.version || 'unknown'}
@@ -44,17 +90,28 @@ class MCPServer {
   constructor() {
     // Initialize class properties
     this.server = null;
-    this.isConnected = false;
+    // Servers whose client has finished initializing; log messages are forwarded to them
+    this.connectedServers = new Set();
     this.tools = new Map();
+    this.validators = new Map();
     this.debug = process.env.DEBUG === "true";
-    this.baseUrl = process.env.API_BASE_URL || "";
+    // Reject an unknown API_SERVER at startup; the base URL itself is resolved per request
+    resolveServerUrl(SERVERS, process.env.API_SERVER);
     this.headers = this.parseHeaders(process.env.API_HEADERS || "");
 
     // Initialize tools map - do this before creating server
     this.initializeTools();
 
+    // The stdio transport uses this server; every HTTP session creates its own
+    this.server = this.createServer();
+  }
+
+  /**
+   * Create an MCP server with the request handlers attached
+   */
+  createServer() {
     // Create MCP server with correct capabilities
-    this.server = new Server(
+    const server = new Server(
       {
         name: process.env.SERVER_NAME || "${config.name}",
         version: process.env.SERVER_VERSION || "${config.version}",
@@ -66,9 +123,12 @@ class MCPServer {
         },
       }
     );
+    server.oninitialized = () => this.connectedServers.add(server);
+    server.onclose = () => this.connectedServers.delete(server);
 
     // Set up request handlers - don't log here
-    this.setupHandlers();
+    this.setupHandlers(server);
+    return server;
   }
 
   /**
@@ -96,10 +156,14 @@ class MCPServer {
         name: tool.name,
         description: tool.description,
         inputSchema: tool.inputSchema,
+        ...(tool.annotations && { annotations: tool.annotations }),
+        ...(tool.outputSchema && { outputSchema: tool.outputSchema }),
         // Don't include security at the tool level
       });
     }
 
+    this.validators = compileValidators(TOOLS);
+
     // Don't log here, we're not connected yet
     this.log('info', \`Initialized \${this.tools.size} tools\`);
   }
@@ -107,20 +171,15 @@ class MCPServer {
   /**
    * Set up request handlers
    */
-  setupHandlers() {
-    this.server.setNotificationHandler(InitializedNotificationSchema, async (request) => {
-      this.log('debug', "Handling notifications/initialized request");
-      // mark isConnected is True
-      this.isConnected = true
-    });
-    this.server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+  setupHandlers(server) {
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
       this.log('debug', "Handling logging/setLevel request");
       // set log level based on client requirement
       this.debug = request.params.level == "debug"
       return EmptyResultSchema
     });
     // Handle tool listing requests
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       this.log('debug', "Handling ListTools request");
       // Return tools in the format expected by MCP SDK
       return {
@@ -132,89 +191,146 @@ class MCPServer {
     });
 
     // Handle tool execution requests
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: params } = request.params;
       this.log('debug', "Handling CallTool request", { name, params });
 
+      // Unknown tools are protocol errors, not tool failures
       let toolId;
-      let toolDetails;
-
-      try {
-        // Find the requested tool
-        if (name) {
-          for (const [tid, tool] of this.tools.entries()) {
-            if (tool.name === name) {
-              toolId = tid;
-              break;
-            }
-          }
+      for (const [tid, tool] of this.tools.entries()) {
+        if (tool.name === name) {
+          toolId = tid;
+          break;
         }
+      }
+      if (!toolId) {
+        throw new McpError(ErrorCode.InvalidParams, \`Unknown tool: \${name}\`);
+      }
 
-        if (!toolId) {
-          throw new Error(\`Tool not found: \${toolId || name}\`);
-        }
+      const toolDetails = TOOLS.find(t => t.id === toolId);
+      if (!toolDetails) {
+        throw new McpError(ErrorCode.InternalError, \`Tool details not found for ID: \${toolId}\`);
+      }
 
-        toolDetails = TOOLS.find(t => t.id === toolId);
-        if (!toolDetails) {
-          throw new Error(\`Tool details not found for ID: \${toolId}\`);
-        }
+      // Bad arguments are returned to the model with field-level messages it can fix
+      const { args, stripped, errors } = prepareArguments(toolDetails, this.validators.get(toolId), params || {});
+      if (stripped.length > 0) {
+        this.log('warning', \`Ignoring unknown arguments of \${name}: \${stripped.join(", ")}\`);
+      }
+      if (errors.length > 0) {
+        return {
+          isError: true,
+          content: [{ type: "text", text: \`Invalid arguments for \${name}:\\n\${errors.map((error) => \`- \${error}\`).join("\\n")}\` }]
+        };
+      }
 
+      try {
         this.log('info', \`Executing tool: \${toolId}\`);
 
         // Execute the API call
-        const result = await this.executeApiCall(toolDetails, params || {});
-
-        // Return the result in the correct MCP format
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(result)
-            }
-          ]
-        };
+        const projection = takeProjection(toolDetails, args);
+        const { data: result, contentType, url, pageInfo } = await this.executeApiCall(toolDetails, args, extra.requestInfo?.headers);
+
+        // Return the result in the correct MCP format, by the response's Content-Type.
+        const { content, structured } = formatResultContent(projection ? applyProjection(result, projection) : result, contentType, url);
+        const response = { content };
+        if (pageInfo) {
+          response.content.push({
+            type: "text",
+            text: \`Fetched \${pageInfo.pages} page(s) with \${pageInfo.items} items\${pageInfo.hasMore ? "; more results are available" : ""}\`
+          });
+        }
+        // Tools with an outputSchema must always return structured content: the result shortened
+        // and projected like the text, or {} when it cannot take the schema's shape
+        if (toolDetails.outputSchema) {
+          response.structuredContent = structuredResult(toolDetails, structured, Boolean(projection?.filter));
+        }
+        return response;
 
       } catch (error) {
         const errorMessage = error instanceof Error ? error.message : String(error);
-        this.log('error', \`Error executing tool \${toolId || name}: \${errorMessage}\`);
+        this.log('error', \`Error executing tool \${toolId}: \${errorMessage}\`);
 
-        // Format error according to MCP SDK expectations
-        return {
-          error: {
-            message: errorMessage,
-            details: error.response?.data
-              ? JSON.stringify(error.response.data)
-              : undefined
-          }
-        };
+        // API failures are reported to the model as tool results with isError set
+        return formatToolError(toolDetails, error, extra.requestId);
       }
     });
   }
 
   /**
-   * Execute an API call for a tool
+   * Execute an API call for a tool.
+   * \`requestHeaders\` are the headers of the incoming MCP request (HTTP transports only).
+   * Resolves to the decoded body with its Content-Type, the request URL and the response headers.
    */
-  async executeApiCall(tool, params) {
+  async executeApiCall(tool, params, requestHeaders) {
     // Get method and path from tool
     const method = tool.method;
     let path = tool.path;
 
-    // Clone params to avoid modifying the original
-    const requestParams = { ...params };
+    // Route each argument to the request location recorded by the generator
+    const argumentMap = tool.argumentMap || {};
+    const queryParts = [];
+    const headerParams = {};
+    const cookieParts = [];
+    let body;
+
+    // Defaults from the spec fill in omitted arguments; hidden arguments always use them
+    const defaultArgs = tool.defaultArgs || {};
+    const args = { ...defaultArgs, ...params };
+    for (const [argName, target] of Object.entries(argumentMap)) {
+      if (!target.hidden) continue;
+      if (argName in defaultArgs) args[argName] = defaultArgs[argName];
+      else delete args[argName];
+    }
+    const pageLimits = takePageLimits(tool, args);
+
+    for (const [argName, value] of Object.entries(args)) {
+      if (value === undefined) continue;
+      const target = argumentMap[argName];
+      if (!target) {
+        this.log('warning', \`Ignoring unknown argument: \${argName}\`);
+        continue;
+      }
 
-    // Replace path parameters with values from params
-    Object.entries(requestParams).forEach(([key, value]) => {
-      const placeholder = \`{\${key}}\`;
-      if (path.includes(placeholder)) {
-        path = path.replace(placeholder, encodeURIComponent(String(value)));
-        delete requestParams[key]; // Remove used parameter
+      // Parameters described with \`content\` are sent as serialized JSON
+      const argValue = target.content && typeof value === 'object' ? JSON.stringify(value) : value;
+
+      // Serialize according to the parameter's OpenAPI style/explode rules
+      switch (target.in) {
+        case 'path':
+          path = path.split(\`{\${target.name}}\`).join(serializePathParam(target.name, argValue, target.style, target.explode));
+          break;
+        case 'query':
+          queryParts.push(...serializeQueryParam(target.name, argValue, target.style, target.explode, target.allowReserved));
+          break;
+        case 'header':
+          headerParams[target.name] = serializeHeaderParam(argValue, target.explode, target.style);
+          break;
+        case 'cookie':
+          cookieParts.push(...serializeCookieParam(target.name, argValue, target.explode));
+          break;
+        case 'body':
+          // A body argument without a name is the whole request body
+          body = target.name ? { ...(body || {}), [target.name]: value } : value;
+          break;
       }
-    });
+    }
 
-    // Build the full URL
-    const baseUrl = this.baseUrl.endsWith("/") ? this.baseUrl : \`\${this.baseUrl}/\`;
+    // Header parameters the model left out fall back to their HEADER_* environment variable
+    for (const target of Object.values(argumentMap)) {
+      if (target.in === 'header' && target.env && !(target.name in headerParams) && process.env[target.env]) {
+        headerParams[target.name] = process.env[target.env];
+      }
+    }
+
+    // Build the full URL against the operation's own servers, if it has any
+    const serverUrl = tool.servers
+      ? serverBaseUrl(tool.servers, process.env.API_SERVER, false)
+      : serverBaseUrl(SERVERS, process.env.API_SERVER);
+    const baseUrl = serverUrl.endsWith("/") ? serverUrl : \`\${serverUrl}/\`;
     const cleanPath = path.startsWith("/") ? path.slice(1) : path;
-    const url = new URL(cleanPath, baseUrl).toString();
+    const query = queryParts.length > 0 ? \`?\${queryParts.join("&")}\` : "";
+    const url = new URL(cleanPath, baseUrl).toString() + query;
 
     this.log('debug', \`API Request: \${method} \${url}\`);
 
@@ -223,9 +339,13 @@ class MCPServer {
       const config = {
         method: method.toLowerCase(),
         url,
-        headers: { ...this.headers },
+        headers: { ...this.headers },        // Raw bytes; the body is decoded by its Content-Type so binaries survive
+        responseType: "arraybuffer",
       };
 
+      // The OAuth scheme whose token is sent, if any
+      let oauth;
+
       // Apply security headers based on tool security requirements
       if (tool.security && Array.isArray(tool.security)) {
         for (const requirement of tool.security) {
@@ -233,6 +353,17 @@ class MCPServer {
             const securityDefinition = SECURITY_SCHEMES[securitySchemeName];
 
             if (securityDefinition) {
+              // Multi-tenant HTTP deployments forward the caller's own credential instead of the configured one
+              const forwarded = passthroughCredential(securitySchemeName, requestHeaders);
+              if (forwarded !== null) {
+                if (forwarded) {
+                  applyPassthroughCredential(config, securityDefinition, forwarded);
+                } else {
+                  this.log('warning', \`No credential to forward for \${securitySchemeName}\`);
+                }
+                continue;
+              }
+
               const authType = securityDefinition.type;
 
               // Handle API key
@@ -275,19 +406,34 @@ class MCPServer {
                   this.log('warning', \`Basic auth credentials not found for \${securitySchemeName}\`);
                 }
               }
+              // Handle OAuth2 / OpenID Connect with the scopes this operation requires
+              else if (authType === 'oauth2' || authType === 'openIdConnect') {
+                const scopes = requirement[securitySchemeName] || [];
+                const accessToken = await getOAuthToken(securitySchemeName, securityDefinition, scopes, serverUrl);
+
+                if (accessToken) {
+                  config.headers['Authorization'] = \`Bearer \${accessToken}\`;
+                  oauth = { schemeName: securitySchemeName, scheme: securityDefinition, scopes };
+                } else {
+                  this.log('warning', \`OAuth credentials not found for \${securitySchemeName}\`);
+                }
+              }
             }
           }
         }
       }
 
-      // Add parameters based on request method
-      if (["GET", "DELETE"].includes(method)) {
-        // For GET/DELETE, send params as query string
-        config.params = { ...(config.params || {}), ...requestParams };
-      } else {
-        // For POST/PUT/PATCH, send params as JSON body
-        config.data = requestParams;
-        config.headers["Content-Type"] = "application/json";
+      // Apply the routed arguments
+      Object.assign(config.headers, headerParams);
+      if (cookieParts.length > 0) {
+        config.headers["Cookie"] = [config.headers["Cookie"], ...cookieParts].filter(Boolean).join("; ");
+      }
+      if (body !== undefined) {
+        const encoded = await encodeRequestBody(tool, body);
+        config.data = encoded.data;
+        if (encoded.contentType) {
+          config.headers["Content-Type"] = encoded.contentType;
+        }
       }
 
       this.log('debug', "Request config:", {
@@ -297,17 +443,40 @@ class MCPServer {
         headers: Object.keys(config.headers)
       });
 
-      // Execute the request
-      const response = await axios(config);
+      // Execute the request with the timeout, retry and rate limit policy
+      const send = (requestConfig) => sendWithPolicy(tool, requestConfig, (message) => this.log('warning', message));
+      let response;
+      try {
+        response = await send(config);
+      } catch (error) {
+        // A 401 means the API no longer accepts the cached OAuth token (revoked, or expired early):
+        // drop it and retry once with a fresh one
+        if (!oauth || !axios.isAxiosError(error) || error.response?.status !== 401 || !invalidateOAuthToken(oauth.schemeName, oauth.scopes)) {
+          throw error;
+        }
+        this.log('warning', \`\${oauth.schemeName} token was rejected, fetching a new one\`);
+        const accessToken = await getOAuthToken(oauth.schemeName, oauth.scheme, oauth.scopes, serverUrl);
+        config.headers['Authorization'] = \`Bearer \${accessToken}\`;
+        response = await send(config);
+      }
       this.log('debug', \`Response status: \${response.status}\`);
 
-      return response.data;
+      const contentType = String(response.headers["content-type"] ?? "");
+      // Paginated list operations follow further pages when the call sets maxPages or maxItems
+      if (pageLimits) {
+        const paged = await collectPages(tool, args, pageLimits, config, response, send);
+        return { data: paged.data, contentType, url, headers: paged.response.headers, pageInfo: paged.pageInfo };
+      }
+      return { data: decodeResponseBody(response.data, contentType), contentType, url, headers: response.headers };
 
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : String(error);
       this.log('error', \`API request failed: \${errorMessage}\`);
 
       if (axios.isAxiosError(error)) {
+        if (error.response) {
+          error.response.data = decodeResponseBody(error.response.data, error.response.headers["content-type"]);
+        }
         const responseData = error.response?.data;
         const responseStatus = error.response?.status;
 
@@ -316,8 +485,10 @@ class MCPServer {
           data: typeof responseData === 'object' ? JSON.stringify(responseData) : responseData
         });
 
-        // Rethrow with more context for better error handling
-        const detailedError = new Error(\`API request failed with status \${responseStatus}: \${errorMessage}\`);
+        // Rethrow with more context for better error handling; timeouts and connection failures have no status
+        const detailedError = new Error(responseStatus
+          ? \`API request failed with status \${responseStatus}: \${errorMessage}\`
+          : \`API request failed: \${errorMessage}\`);
         detailedError.response = error.response;
         throw detailedError;
       }
@@ -335,13 +506,13 @@ class MCPServer {
     // Only try to send via MCP if we're in debug mode or it's important
     if (this.debug || level !== 'debug') {
       try {
-        // Only send if server exists and is connected
-        if (this.server && this.isConnected) {
-          this.server.sendLoggingMessage({
+        // Only send to servers whose client is connected
+        for (const server of this.connectedServers) {
+          server.sendLoggingMessage({
             level,
             logger: "openapi-mcp-server",
             data: \`[MCP Server] \${message}\${data ? ': ' + JSON.stringify(data) : ''}\`
-          });
+          }).catch((e) => console.error('Failed to send log via MCP:', e.message));
         }
       } catch (e) {
         // If logging fails, log to stderr
@@ -355,6 +526,13 @@ class MCPServer {
    */
   async start() {
     try {
+      if (TRANSPORT === "http" || TRANSPORT === "sse") {
+        await serveHttp(TRANSPORT, () => this.createServer(), () => ({ tools: this.tools.size }));
+        const endpoint = TRANSPORT === "http" ? "/mcp" : "/sse";
+        console.error(\`MCP Server listening on http://\${HTTP_HOST}:\${HTTP_PORT}\${endpoint} (\${TRANSPORT} transport) with \${this.tools.size} tools\`);
+        return;
+      }
+
       // Create stdio transport
       const transport = new StdioServerTransport();
       this.log('info', "MCP Server starting on stdio transport");
@@ -391,32 +569,70 @@ main();
 /**
  * Generate server.ts for TypeScript support with MCP compatibility fixes
  */
-function generateServerTS(config, spec, toolMap, securitySchemes) {
+function generateServerTS(config, spec, toolMap, securitySchemes, servers = []) {
   console.log('Generating server.ts file...');
   const toolsArray = Object.values(toolMap);
+  const policy = config.requestPolicy;
   const hasSecuritySchemes = Object.keys(securitySchemes).length > 0;
 
   const serverCode = `#!/usr/bin/env node
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import axios, { AxiosRequestConfig, AxiosError } from "axios";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import axios, { AxiosRequestConfig, AxiosResponse, AxiosError } from "axios";
 import { config as dotenvConfig } from "dotenv";
+import { Ajv2020, ErrorObject, ValidateFunction } from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+import jmespath from "jmespath";
+import { fileURLToPath } from "url";
+import path from "path";
+import { readFile, realpath } from "fs/promises";
+import { createServer as createHttpServer, IncomingMessage, ServerResponse, Server as HttpServer } from "http";
+import { randomUUID } from "crypto";
 import {
   ListToolsRequestSchema,
   CallToolRequestSchema,
   Tool,
   JsonSchema,
+  McpError,
+  ErrorCode,
+  isInitializeRequest,
 } from "@modelcontextprotocol/sdk/types.js";
 
 // Load environment variables
 dotenvConfig();
 
 // Define tool and security scheme types
+interface ArgumentLocation {
+  in: 'path' | 'query' | 'header' | 'cookie' | 'body';
+  name?: string;
+  env?: string;
+  style?: string;
+  explode?: boolean;
+  allowReserved?: boolean;
+  content?: string;
+  file?: boolean;
+  hidden?: boolean;
+}
+
 interface OpenApiTool extends Tool {
   method: string;
   path: string;
   security: any[];
+  argumentMap?: Record<string, ArgumentLocation>;
+  defaultArgs?: Record<string, any>;
+  outputWrapped?: boolean;
+  errorResponses?: Record<string, string>;
+  servers?: ApiServer[];
+  requestPolicy?: RequestPolicy;
+  pagination?: Pagination;
+  projection?: { fields?: string; filter?: string };
+  requestBody?: {
+    mediaType: string;
+    encoding?: Record<string, any>;
+  };
 }
 
 interface SecurityScheme {
@@ -424,12 +640,88 @@ interface SecurityScheme {
   name?: string;
   in?: string;
   scheme?: string;
+  flows?: Record<string, any>;
+  openIdConnectUrl?: string;
+}
+
+interface RequestPolicy {
+  timeoutMs?: number;
+  retries?: number;
+  retryBaseDelayMs?: number;
+  retryMaxDelayMs?: number;
+  rateLimit?: number;
+  burst?: number;
+}
+
+interface Pagination {
+  style: 'link' | 'next' | 'cursor' | 'offset' | 'page';
+  itemsPath: string[];
+  param?: string;
+  argument?: string;
+  limitArgument?: string;
+  cursorPath?: string[];
+  nextPath?: string[];
+}
+
+interface Projection {
+  fields?: string[];
+  filter?: string;
+}
+
+interface PageLimits {
+  maxPages?: number;
+  maxItems?: number;
+}
+
+// A decoded API response: parsed JSON, text or a Buffer for binary bodies
+interface ApiResponse {
+  data: any;
+  contentType: string;
+  url: string;
+  headers: Record<string, any>;
+  pageInfo?: { pages: number; items: number; hasMore: boolean };
+}
+
+interface ApiServer {
+  url: string;
+  name?: string;
+  description?: string;
+  variables?: Record<string, { default: string; env: string; enum?: string[]; description?: string }>;
 }
 
 // Define tool schemas
 const TOOLS: OpenApiTool[] = ${JSON.stringify(toolsArray, null, 2)};
 const SECURITY_SCHEMES: Record<string, SecurityScheme> = ${JSON.stringify(securitySchemes, null, 2)};
-
+// Servers from the spec; API_BASE_URL overrides them all
+const SERVERS: ApiServer[] = ${JSON.stringify(servers, null, 2)};
+
+// Transport (stdio, http or sse) and HTTP listener; the environment overrides the generated defaults
+const TRANSPORT = process.env.TRANSPORT || "${config.transport}";
+const HTTP_PORT = Number(process.env.PORT) || ${config.port};
+const HTTP_HOST = process.env.HOST || "127.0.0.1";
+
+// Request policy for every tool; the environment overrides the generated defaults
+const REQUEST_POLICY: Required<RequestPolicy> = {
+  timeoutMs: Number(process.env.REQUEST_TIMEOUT_MS ?? ${policy.timeoutMs}),
+  retries: Number(process.env.REQUEST_RETRIES ?? ${policy.retries}),
+  retryBaseDelayMs: Number(process.env.RETRY_BASE_DELAY_MS ?? ${policy.retryBaseDelayMs}),
+  retryMaxDelayMs: Number(process.env.RETRY_MAX_DELAY_MS ?? ${policy.retryMaxDelayMs}),
+  rateLimit: Number(process.env.RATE_LIMIT_RPS ?? ${policy.rateLimit}),
+  burst: Number(process.env.RATE_LIMIT_BURST ?? ${policy.burst}),
+};
+
+${generateParamSerializers(true)}
+${generateBodyEncoders(true)}
+${generateErrorFormatter(true)}
+${generateArgumentValidator(true)}
+${generateHttpTransport(true)}
+${generateOAuthClient(true)}
+${generateCredentialPassthrough(true)}
+${generateServerSelector(true)}
+${generateRequestPolicy(true)}
+${generateResponseFormatter(true)}
+${generatePaginator(true)}
+${generateProjection(true)}
 /**
  * MCP Server for ${spec.info?.title || 'OpenAPI'} API
  * Generated from OpenAPI spec version ${spec.info?.version || 'unknown'}
@@ -438,21 +730,32 @@ const SECURITY_SCHEMES: Record<string, SecurityScheme> = ${JSON.stringify(securi
 class MCPServer {
   private server: Server;
   private tools: Map<string, Tool> = new Map();
+  private validators: Map<string, ValidateFunction> = new Map();
+  // Servers whose client has finished initializing; log messages are forwarded to them
+  private connectedServers: Set<Server> = new Set();
   private debug: boolean;
-  private baseUrl: string;
   private headers: Record<string, string>;
 
   constructor() {
     // Initialize properties
     this.debug = process.env.DEBUG === "true";
-    this.baseUrl = process.env.API_BASE_URL || "";
+    // Reject an unknown API_SERVER at startup; the base URL itself is resolved per request
+    resolveServerUrl(SERVERS, process.env.API_SERVER);
     this.headers = this.parseHeaders(process.env.API_HEADERS || "");
 
     // Initialize tools map - do this before creating server
     this.initializeTools();
 
+    // The stdio transport uses this server; every HTTP session creates its own
+    this.server = this.createServer();
+  }
+
+  /**
+   * Create an MCP server with the request handlers attached
+   */
+  private createServer(): Server {
     // Create MCP server with correct capabilities
-    this.server = new Server(
+    const server = new Server(
       {
         name: process.env.SERVER_NAME || "${config.name}",
         version: process.env.SERVER_VERSION || "${config.version}",
@@ -463,9 +766,12 @@ class MCPServer {
         },
       }
     );
+    server.oninitialized = () => this.connectedServers.add(server);
+    server.onclose = () => this.connectedServers.delete(server);
 
     // Set up request handlers - don't log here
-    this.setupHandlers();
+    this.setupHandlers(server);
+    return server;
   }
 
   /**
@@ -493,10 +799,14 @@ class MCPServer {
         name: tool.name,
         description: tool.description,
         inputSchema: tool.inputSchema as JsonSchema,
+        ...(tool.annotations && { annotations: tool.annotations }),
+        ...(tool.outputSchema && { outputSchema: tool.outputSchema }),
         // Don't include security at the tool level
       });
     }
 
+    this.validators = compileValidators(TOOLS);
+
     // Don't log here, we're not connected yet
     console.error(\`Initialized \${this.tools.size} tools\`);
   }
@@ -504,9 +814,9 @@ class MCPServer {
   /**
    * Set up request handlers
    */
-  private setupHandlers(): void {
+  private setupHandlers(server: Server): void {
     // Handle tool listing requests
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       this.log('debug', "Handling ListTools request");
       // Return tools in the format expected by MCP SDK
       return {
@@ -518,90 +828,146 @@ class MCPServer {
     });
 
     // Handle tool execution requests
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { id, name, arguments: params } = request.params;
-      this.log('debug', "Handling CallTool request", { id, name, params });
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: params } = request.params;
+      this.log('debug', "Handling CallTool request", { name, params });
 
+      // Unknown tools are protocol errors, not tool failures
       let toolId: string | undefined;
-      let toolDetails: OpenApiTool | undefined;
-
-      try {
-        // Find the requested tool
-        toolId = id;
-        if (!toolId && name) {
-          for (const [tid, tool] of this.tools.entries()) {
-            if (tool.name === name) {
-              toolId = tid;
-              break;
-            }
-          }
+      for (const [tid, tool] of this.tools.entries()) {
+        if (tool.name === name) {
+          toolId = tid;
+          break;
         }
+      }
+      if (!toolId) {
+        throw new McpError(ErrorCode.InvalidParams, \`Unknown tool: \${name}\`);
+      }
 
-        if (!toolId) {
-          throw new Error(\`Tool not found: \${id || name}\`);
-        }
+      const toolDetails = TOOLS.find(t => t.id === toolId);
+      if (!toolDetails) {
+        throw new McpError(ErrorCode.InternalError, \`Tool details not found for ID: \${toolId}\`);
+      }
 
-        toolDetails = TOOLS.find(t => t.id === toolId);
-        if (!toolDetails) {
-          throw new Error(\`Tool details not found for ID: \${toolId}\`);
-        }
+      // Bad arguments are returned to the model with field-level messages it can fix
+      const { args, stripped, errors } = prepareArguments(toolDetails, this.validators.get(toolId), params || {});
+      if (stripped.length > 0) {
+        this.log('warning', \`Ignoring unknown arguments of \${name}: \${stripped.join(", ")}\`);
+      }
+      if (errors.length > 0) {
+        return {
+          isError: true,
+          content: [{ type: "text", text: \`Invalid arguments for \${name}:\\n\${errors.map((error) => \`- \${error}\`).join("\\n")}\` }]
+        };
+      }
 
+      try {
         this.log('info', \`Executing tool: \${toolId}\`);
 
         // Execute the API call
-        const result = await this.executeApiCall(toolDetails, params || {});
-
-        // Return the result in correct MCP format
-        return {
-          content: [
-            {
-              type: "application/json",
-              data: result
-            }
-          ]
-        };
+        const projection = takeProjection(toolDetails, args);
+        const { data: result, contentType, url, pageInfo } = await this.executeApiCall(toolDetails, args, extra.requestInfo?.headers);
+
+        // Return the result in the correct MCP format, by the response's Content-Type.
+        const { content, structured } = formatResultContent(projection ? applyProjection(result, projection) : result, contentType, url);
+        const response: { content: Record<string, any>[]; structuredContent?: Record<string, any> } = { content };
+        if (pageInfo) {
+          response.content.push({
+            type: "text",
+            text: \`Fetched \${pageInfo.pages} page(s) with \${pageInfo.items} items\${pageInfo.hasMore ? "; more results are available" : ""}\`
+          });
+        }
+        // Tools with an outputSchema must always return structured content: the result shortened
+        // and projected like the text, or {} when it cannot take the schema's shape
+        if (toolDetails.outputSchema) {
+          response.structuredContent = structuredResult(toolDetails, structured, Boolean(projection?.filter));
+        }
+        return response;
 
       } catch (error) {
         const errorMessage = error instanceof Error ? error.message : String(error);
-        this.log('error', \`Error executing tool \${toolId || name}: \${errorMessage}\`);
+        this.log('error', \`Error executing tool \${toolId}: \${errorMessage}\`);
 
-        // Format error according to MCP SDK expectations
-        return {
-          error: {
-            message: errorMessage,
-            details: error instanceof Error && 'response' in error
-              ? JSON.stringify((error as any).response?.data)
-              : undefined
-          }
-        };
+        // API failures are reported to the model as tool results with isError set
+        return formatToolError(toolDetails, error, extra.requestId);
       }
     });
   }
 
   /**
-   * Execute an API call for a tool
+   * Execute an API call for a tool.
+   * \`requestHeaders\` are the headers of the incoming MCP request (HTTP transports only).
+   * Resolves to the decoded body with its Content-Type, the request URL and the response headers.
    */
-  private async executeApiCall(tool: OpenApiTool, params: Record<string, any>): Promise<any> {
+  private async executeApiCall(tool: OpenApiTool, params: Record<string, any>, requestHeaders?: Record<string, string | string[] | undefined>): Promise<ApiResponse> {
     // Get method and path from tool
     const method = tool.method;
     let path = tool.path;
 
-    // Clone params to avoid modifying the original
-    const requestParams = { ...params };
+    // Route each argument to the request location recorded by the generator
+    const argumentMap: Record<string, ArgumentLocation> = tool.argumentMap || {};
+    const queryParts: string[] = [];
+    const headerParams: Record<string, string> = {};
+    const cookieParts: string[] = [];
+    let body: any;
+
+    // Defaults from the spec fill in omitted arguments; hidden arguments always use them
+    const defaultArgs: Record<string, any> = tool.defaultArgs || {};
+    const args: Record<string, any> = { ...defaultArgs, ...params };
+    for (const [argName, target] of Object.entries(argumentMap)) {
+      if (!target.hidden) continue;
+      if (argName in defaultArgs) args[argName] = defaultArgs[argName];
+      else delete args[argName];
+    }
+    const pageLimits = takePageLimits(tool, args);
+
+    for (const [argName, value] of Object.entries(args)) {
+      if (value === undefined) continue;
+      const target = argumentMap[argName];
+      if (!target) {
+        this.log('warning', \`Ignoring unknown argument: \${argName}\`);
+        continue;
+      }
 
-    // Replace path parameters with values from params
-    Object.entries(requestParams).forEach(([key, value]) => {
-      const placeholder = \`{\${key}}\`;
-      if (path.includes(placeholder)) {
-        path = path.replace(placeholder, encodeURIComponent(String(value)));
-        delete requestParams[key]; // Remove used parameter
+      // Parameters described with \`content\` are sent as serialized JSON
+      const argValue = target.content && typeof value === 'object' ? JSON.stringify(value) : value;
+
+      // Serialize according to the parameter's OpenAPI style/explode rules
+      switch (target.in) {
+        case 'path':
+          path = path.split(\`{\${target.name}}\`).join(serializePathParam(target.name!, argValue, target.style, target.explode));
+          break;
+        case 'query':
+          queryParts.push(...serializeQueryParam(target.name!, argValue, target.style, target.explode, target.allowReserved));
+          break;
+        case 'header':
+          headerParams[target.name!] = serializeHeaderParam(argValue, target.explode, target.style);
+          break;
+        case 'cookie':
+          cookieParts.push(...serializeCookieParam(target.name!, argValue, target.explode));
+          break;
+        case 'body':
+          // A body argument without a name is the whole request body
+          body = target.name ? { ...(body || {}), [target.name]: value } : value;
+          break;
       }
-    });
+    }
+
+    // Header parameters the model left out fall back to their HEADER_* environment variable
+    for (const target of Object.values(argumentMap)) {
+      if (target.in === 'header' && target.env && !(target.name! in headerParams) && process.env[target.env]) {
+        headerParams[target.name!] = process.env[target.env]!;
+      }
+    }
 
-    // Build the full URL
-    const baseUrl = this.baseUrl.endsWith("/") ? this.baseUrl : \`\${this.baseUrl}/\`;
+    // Build the full URL against the operation's own servers, if it has any
+    const serverUrl = tool.servers
+      ? serverBaseUrl(tool.servers, process.env.API_SERVER, false)
+      : serverBaseUrl(SERVERS, process.env.API_SERVER);
+    const baseUrl = serverUrl.endsWith("/") ? serverUrl : \`\${serverUrl}/\`;
     const cleanPath = path.startsWith("/") ? path.slice(1) : path;
-    const url = new URL(cleanPath, baseUrl).toString();
+    const query = queryParts.length > 0 ? \`?\${queryParts.join("&")}\` : "";
+    const url = new URL(cleanPath, baseUrl).toString() + query;
 
     this.log('debug', \`API Request: \${method} \${url}\`);
 
@@ -610,9 +976,13 @@ class MCPServer {
       const config: AxiosRequestConfig = {
         method: method.toLowerCase(),
         url,
-        headers: { ...this.headers },
+        headers: { ...this.headers },        // Raw bytes; the body is decoded by its Content-Type so binaries survive
+        responseType: "arraybuffer",
       };
 
+      // The OAuth scheme whose token is sent, if any
+      let oauth: { schemeName: string; scheme: SecurityScheme; scopes: string[] } | undefined;
+
       // Apply security headers based on tool security requirements
       if (tool.security && Array.isArray(tool.security)) {
         for (const requirement of tool.security) {
@@ -620,6 +990,17 @@ class MCPServer {
             const securityDefinition = SECURITY_SCHEMES[securitySchemeName];
 
             if (securityDefinition) {
+              // Multi-tenant HTTP deployments forward the caller's own credential instead of the configured one
+              const forwarded = passthroughCredential(securitySchemeName, requestHeaders);
+              if (forwarded !== null) {
+                if (forwarded) {
+                  applyPassthroughCredential(config, securityDefinition, forwarded);
+                } else {
+                  this.log('warning', \`No credential to forward for \${securitySchemeName}\`);
+                }
+                continue;
+              }
+
               const authType = securityDefinition.type;
 
               // Handle API key
@@ -665,20 +1046,35 @@ class MCPServer {
                   this.log('warning', \`Basic auth credentials not found for \${securitySchemeName}\`);
                 }
               }
+              // Handle OAuth2 / OpenID Connect with the scopes this operation requires
+              else if (authType === 'oauth2' || authType === 'openIdConnect') {
+                const scopes = requirement[securitySchemeName] || [];
+                const accessToken = await getOAuthToken(securitySchemeName, securityDefinition, scopes, serverUrl);
+
+                if (accessToken) {
+                  config.headers = config.headers || {};
+                  config.headers['Authorization'] = \`Bearer \${accessToken}\`;
+                  oauth = { schemeName: securitySchemeName, scheme: securityDefinition, scopes };
+                } else {
+                  this.log('warning', \`OAuth credentials not found for \${securitySchemeName}\`);
+                }
+              }
             }
           }
         }
       }
 
-      // Add parameters based on request method
-      if (["GET", "DELETE"].includes(method)) {
-        // For GET/DELETE, send params as query string
-        config.params = { ...(config.params || {}), ...requestParams };
-      } else {
-        // For POST/PUT/PATCH, send params as JSON body
-        config.data = requestParams;
-        if (config.headers) {
-          config.headers["Content-Type"] = "application/json";
+      // Apply the routed arguments
+      const headers: Record<string, any> = config.headers = config.headers || {};
+      Object.assign(headers, headerParams);
+      if (cookieParts.length > 0) {
+        headers["Cookie"] = [headers["Cookie"], ...cookieParts].filter(Boolean).join("; ");
+      }
+      if (body !== undefined) {
+        const encoded = await encodeRequestBody(tool, body);
+        config.data = encoded.data;
+        if (encoded.contentType) {
+          headers["Content-Type"] = encoded.contentType;
         }
       }
 
@@ -689,11 +1085,31 @@ class MCPServer {
         headers: config.headers ? Object.keys(config.headers) : []
       });
 
-      // Execute the request
-      const response = await axios(config);
+      // Execute the request with the timeout, retry and rate limit policy
+      const send = (requestConfig: AxiosRequestConfig) => sendWithPolicy(tool, requestConfig, (message) => this.log('warning', message));
+      let response;
+      try {
+        response = await send(config);
+      } catch (error) {
+        // A 401 means the API no longer accepts the cached OAuth token (revoked, or expired early):
+        // drop it and retry once with a fresh one
+        if (!oauth || !axios.isAxiosError(error) || error.response?.status !== 401 || !invalidateOAuthToken(oauth.schemeName, oauth.scopes)) {
+          throw error;
+        }
+        this.log('warning', \`\${oauth.schemeName} token was rejected, fetching a new one\`);
+        const accessToken = await getOAuthToken(oauth.schemeName, oauth.scheme, oauth.scopes, serverUrl);
+        config.headers!['Authorization'] = \`Bearer \${accessToken}\`;
+        response = await send(config);
+      }
       this.log('debug', \`Response status: \${response.status}\`);
 
-      return response.data;
+      const contentType = String(response.headers["content-type"] ?? "");
+      // Paginated list operations follow further pages when the call sets maxPages or maxItems
+      if (pageLimits) {
+        const paged = await collectPages(tool, args, pageLimits, config, response, send);
+        return { data: paged.data, contentType, url, headers: paged.response.headers, pageInfo: paged.pageInfo };
+      }
+      return { data: decodeResponseBody(response.data, contentType), contentType, url, headers: response.headers };
 
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : String(error);
@@ -701,6 +1117,9 @@ class MCPServer {
 
       if (axios.isAxiosError(error)) {
         const axiosError = error as AxiosError;
+        if (axiosError.response) {
+          axiosError.response.data = decodeResponseBody(axiosError.response.data, axiosError.response.headers["content-type"]);
+        }
         const responseData = axiosError.response?.data;
         const responseStatus = axiosError.response?.status;
 
@@ -709,8 +1128,10 @@ class MCPServer {
           data: typeof responseData === 'object' ? JSON.stringify(responseData) : String(responseData)
         });
 
-        // Rethrow with more context for better error handling
-        const detailedError = new Error(\`API request failed with status \${responseStatus}: \${errorMessage}\`);
+        // Rethrow with more context for better error handling; timeouts and connection failures have no status
+        const detailedError = new Error(responseStatus
+          ? \`API request failed with status \${responseStatus}: \${errorMessage}\`
+          : \`API request failed: \${errorMessage}\`);
         (detailedError as any).response = axiosError.response;
         throw detailedError;
       }
@@ -730,12 +1151,12 @@ class MCPServer {
     // Only try to send via MCP if we're in debug mode or it's important
     if (this.debug || level !== 'debug') {
       try {
-        // Only send if server exists and is connected
-        if (this.server && (this.server as any).isConnected) {
-          this.server.sendLoggingMessage({
+        // Only send to servers whose client is connected
+        for (const server of this.connectedServers) {
+          server.sendLoggingMessage({
             level,
             data: \`[MCP Server] \${message}\${data ? ': ' + JSON.stringify(data) : ''}\`
-          });
+          }).catch((e: Error) => console.error('Failed to send log via MCP:', e.message));
         }
       } catch (e) {
         // If logging fails, log to stderr
@@ -749,6 +1170,13 @@ class MCPServer {
    */
   async start(): Promise<void> {
     try {
+      if (TRANSPORT === "http" || TRANSPORT === "sse") {
+        await serveHttp(TRANSPORT, () => this.createServer(), () => ({ tools: this.tools.size }));
+        const endpoint = TRANSPORT === "http" ? "/mcp" : "/sse";
+        console.error(\`MCP Server listening on http://\${HTTP_HOST}:\${HTTP_PORT}\${endpoint} (\${TRANSPORT} transport) with \${this.tools.size} tools\`);
+        return;
+      }
+
       // Create stdio transport
       const transport = new StdioServerTransport();
       console.error("MCP Server starting on stdio transport");
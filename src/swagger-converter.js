@@ -0,0 +1,364 @@
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
+
+// Keywords a 2.0 non-body parameter shares with the JSON schema of its value
+const PARAM_SCHEMA_KEYS = [
+    'type', 'format', 'items', 'default', 'enum', 'maximum', 'exclusiveMaximum', 'minimum',
+    'exclusiveMinimum', 'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems', 'multipleOf'
+];
+
+const REF_PREFIXES = {
+    '#/definitions/': '#/components/schemas/',
+    '#/parameters/': '#/components/parameters/',
+    '#/responses/': '#/components/responses/'
+};
+
+/**
+ * Rewrite a Swagger 2.0 local $ref to its OpenAPI 3 location
+ */
+function convertRef(ref) {
+    for (const [from, to] of Object.entries(REF_PREFIXES)) {
+        if (ref.startsWith(from)) {
+            return to + ref.slice(from.length);
+        }
+    }
+    // Refs into other documents point at their own layout; the bundler resolves them later
+    return ref;
+}
+
+/**
+ * Convert a 2.0 schema object (recursively) to its 3.0 equivalent
+ */
+function convertSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(convertSchema);
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+
+    const converted = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === '$ref' && typeof value === 'string') {
+            converted.$ref = convertRef(value);
+        } else if (key === 'x-nullable') {
+            converted.nullable = value;
+        } else if (key === 'properties' || key === 'definitions') {
+            converted[key] = Object.fromEntries(
+                Object.entries(value || {}).map(([name, propSchema]) => [name, convertSchema(propSchema)])
+            );
+        } else if (typeof value === 'object') {
+            converted[key] = convertSchema(value);
+        } else {
+            converted[key] = value;
+        }
+    }
+
+    if (converted.type === 'file') {
+        converted.type = 'string';
+        converted.format = 'binary';
+    }
+    return converted;
+}
+
+/**
+ * Translate collectionFormat into OpenAPI 3 style/explode. OpenAPI 3 has no style for `tsv`;
+ * it becomes `tabDelimited`, which the generated server joins with tabs.
+ */
+function convertCollectionFormat(param) {
+    switch (param.collectionFormat) {
+        case 'multi':
+            return { style: 'form', explode: true };
+        case 'ssv':
+            return { style: 'spaceDelimited', explode: false };
+        case 'pipes':
+            return { style: 'pipeDelimited', explode: false };
+        case 'tsv':
+            return param.type === 'array' ? { style: 'tabDelimited', explode: false } : {};
+        case 'csv':
+        case undefined:
+            if (param.type !== 'array') return {};
+            return param.in === 'query' || param.in === 'formData'
+                ? { style: 'form', explode: false }
+                : { style: 'simple', explode: false };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Pick the keys shared by 2.0 parameters and schemas into a 3.0 schema
+ */
+function paramToSchema(param) {
+    const schema = {};
+    for (const key of PARAM_SCHEMA_KEYS) {
+        if (param[key] !== undefined) schema[key] = param[key];
+    }
+    if (param['x-nullable'] !== undefined) schema['x-nullable'] = param['x-nullable'];
+    return convertSchema(schema);
+}
+
+/**
+ * Convert a 2.0 query/path/header parameter to 3.0
+ */
+function convertParameter(param) {
+    if (param.$ref) {
+        return { $ref: convertRef(param.$ref) };
+    }
+
+    const converted = {
+        name: param.name,
+        in: param.in,
+        ...(param.description && { description: param.description }),
+        ...(param.required !== undefined && { required: param.required }),
+        ...convertCollectionFormat(param),
+        schema: paramToSchema(param)
+    };
+    if (param.allowEmptyValue !== undefined) converted.allowEmptyValue = param.allowEmptyValue;
+
+    // Keep vendor extensions (x-mcp-* etc.)
+    for (const [key, value] of Object.entries(param)) {
+        if (key.startsWith('x-') && key !== 'x-nullable') converted[key] = value;
+    }
+    return converted;
+}
+
+/**
+ * Convert a 2.0 response object to 3.0
+ */
+function convertResponse(response, produces) {
+    if (response.$ref) {
+        return { $ref: convertRef(response.$ref) };
+    }
+
+    const converted = { description: response.description || '' };
+    if (response.schema) {
+        const schema = convertSchema(response.schema);
+        converted.content = Object.fromEntries(produces.map(mediaType => [mediaType, { schema }]));
+    }
+    if (response.headers) {
+        converted.headers = Object.fromEntries(
+            Object.entries(response.headers).map(([name, header]) => [name, {
+                ...(header.description && { description: header.description }),
+                schema: paramToSchema(header)
+            }])
+        );
+    }
+    return converted;
+}
+
+/**
+ * Build a 3.0 requestBody from a 2.0 `in: body` parameter
+ */
+function bodyParamToRequestBody(param, consumes) {
+    const schema = convertSchema(param.schema || {});
+    const mediaTypes = consumes.filter(type => !type.includes('form'));
+    return {
+        ...(param.description && { description: param.description }),
+        required: Boolean(param.required),
+        content: Object.fromEntries(
+            (mediaTypes.length > 0 ? mediaTypes : ['application/json']).map(mediaType => [mediaType, { schema }])
+        )
+    };
+}
+
+/**
+ * Build a 3.0 requestBody from a list of 2.0 `in: formData` parameters
+ */
+function formParamsToRequestBody(params, consumes) {
+    const hasFile = params.some(param => param.type === 'file');
+    const mediaType = hasFile || consumes.includes('multipart/form-data')
+        ? 'multipart/form-data'
+        : 'application/x-www-form-urlencoded';
+
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+    const encoding = {};
+    for (const param of params) {
+        schema.properties[param.name] = {
+            ...paramToSchema(param),
+            ...(param.description && { description: param.description })
+        };
+        if (param.required) required.push(param.name);
+        const { style, explode } = convertCollectionFormat(param);
+        if (style) encoding[param.name] = { style, explode };
+    }
+    if (required.length > 0) schema.required = required;
+
+    const mediaTypeObject = { schema };
+    if (Object.keys(encoding).length > 0) mediaTypeObject.encoding = encoding;
+    return {
+        required: required.length > 0,
+        content: { [mediaType]: mediaTypeObject }
+    };
+}
+
+/**
+ * Convert a 2.0 security definition to a 3.0 security scheme
+ */
+function convertSecurityDefinition(definition) {
+    const description = definition.description ? { description: definition.description } : {};
+    switch (definition.type) {
+        case 'basic':
+            return { type: 'http', scheme: 'basic', ...description };
+        case 'apiKey':
+            return { type: 'apiKey', name: definition.name, in: definition.in, ...description };
+        case 'oauth2': {
+            const flowNames = {
+                implicit: 'implicit',
+                password: 'password',
+                application: 'clientCredentials',
+                accessCode: 'authorizationCode'
+            };
+            const flow = { scopes: definition.scopes || {} };
+            if (definition.authorizationUrl) flow.authorizationUrl = definition.authorizationUrl;
+            if (definition.tokenUrl) flow.tokenUrl = definition.tokenUrl;
+            return { type: 'oauth2', flows: { [flowNames[definition.flow] || definition.flow]: flow }, ...description };
+        }
+        default:
+            return { ...definition };
+    }
+}
+
+/**
+ * Build the 3.0 servers array from host/basePath/schemes
+ */
+function convertServers(spec) {
+    const basePath = spec.basePath || '';
+    // Without a host the API is served by the host of the spec itself: the relative server URL is
+    // resolved against the spec's URL at generation, or against API_BASE_URL at runtime
+    if (!spec.host) {
+        return [{ url: basePath || '/' }];
+    }
+    const schemes = spec.schemes && spec.schemes.length > 0 ? spec.schemes : ['https'];
+    return schemes.map(scheme => ({ url: `${scheme}://${spec.host}${basePath}` }));
+}
+
+/**
+ * Convert a single 2.0 operation to 3.0
+ */
+function convertOperation(spec, operation, pathParams, globalConsumes, globalProduces) {
+    const consumes = operation.consumes || globalConsumes;
+    const produces = operation.produces || globalProduces;
+
+    // Resolve local parameter refs so body/formData parameters can be turned into a requestBody
+    const resolveParam = param => {
+        const name = param.$ref?.startsWith('#/parameters/') && param.$ref.slice('#/parameters/'.length);
+        const target = name ? spec.parameters?.[name] : undefined;
+        return target && (target.in === 'body' || target.in === 'formData') ? target : param;
+    };
+
+    // Operation parameters override path-level ones with the same name + location
+    const byKey = new Map();
+    for (const param of [...pathParams, ...(operation.parameters || [])].map(resolveParam)) {
+        const key = param.$ref ? param.$ref : `${param.in}:${param.name}`;
+        byKey.set(key, param);
+    }
+    const params = Array.from(byKey.values());
+
+    const {
+        consumes: _consumes, produces: _produces, parameters: _parameters, responses, schemes: _schemes,
+        ...rest
+    } = operation;
+    const converted = { ...rest };
+
+    const otherParams = params.filter(param => param.$ref || (param.in !== 'body' && param.in !== 'formData'));
+    if (otherParams.length > 0) {
+        converted.parameters = otherParams.map(convertParameter);
+    }
+
+    const bodyParam = params.find(param => param.in === 'body');
+    const formParams = params.filter(param => param.in === 'formData');
+    if (bodyParam) {
+        converted.requestBody = bodyParamToRequestBody(bodyParam, consumes);
+    } else if (formParams.length > 0) {
+        converted.requestBody = formParamsToRequestBody(formParams, consumes);
+    }
+
+    if (responses) {
+        converted.responses = Object.fromEntries(
+            Object.entries(responses).map(([code, response]) => [code, convertResponse(response, produces)])
+        );
+    }
+    return converted;
+}
+
+/**
+ * Convert a component bundled from a file that a Swagger 2.0 document references;
+ * those files use the 2.0 layout too. `type` is the components section it goes in.
+ */
+function convertSwagger2Component(type, component, produces = ['application/json']) {
+    switch (type) {
+        case 'schemas':
+            return convertSchema(component);
+        case 'parameters':
+            return convertParameter(component);
+        case 'responses':
+            return convertResponse(component, produces);
+        default:
+            return component;
+    }
+}
+
+/**
+ * Upgrade a Swagger 2.0 document to the OpenAPI 3.0 shape so every
+ * downstream generator works against a single model.
+ */
+function convertSwagger2(spec) {
+    const globalConsumes = spec.consumes || ['application/json'];
+    const globalProduces = spec.produces || ['application/json'];
+
+    const {
+        swagger: _swagger, host: _host, basePath: _basePath, schemes: _schemes, consumes: _consumes,
+        produces: _produces, definitions, parameters, responses, securityDefinitions, paths, ...rest
+    } = spec;
+
+    const converted = {
+        openapi: '3.0.3',
+        ...rest,
+        servers: convertServers(spec),
+        paths: {},
+        components: {}
+    };
+
+    for (const [path, pathItem] of Object.entries(paths || {})) {
+        if (!pathItem) continue;
+        const pathParams = pathItem.parameters || [];
+        const convertedItem = {};
+        for (const [key, value] of Object.entries(pathItem)) {
+            if (key === 'parameters') continue;
+            convertedItem[key] = HTTP_METHODS.includes(key.toLowerCase())
+                ? convertOperation(spec, value, pathParams, globalConsumes, globalProduces)
+                : value;
+        }
+        converted.paths[path] = convertedItem;
+    }
+
+    if (definitions) {
+        converted.components.schemas = Object.fromEntries(
+            Object.entries(definitions).map(([name, schema]) => [name, convertSchema(schema)])
+        );
+    }
+    if (parameters) {
+        // body/formData parameters were inlined into each operation's requestBody
+        const shared = Object.entries(parameters).filter(([, param]) => param.in !== 'body' && param.in !== 'formData');
+        if (shared.length > 0) {
+            converted.components.parameters = Object.fromEntries(
+                shared.map(([name, param]) => [name, convertParameter(param)])
+            );
+        }
+    }
+    if (responses) {
+        converted.components.responses = Object.fromEntries(
+            Object.entries(responses).map(([name, response]) => [name, convertResponse(response, globalProduces)])
+        );
+    }
+    if (securityDefinitions) {
+        converted.components.securitySchemes = Object.fromEntries(
+            Object.entries(securityDefinitions).map(([name, definition]) => [name, convertSecurityDefinition(definition)])
+        );
+    }
+
+    return converted;
+}
+
+export { convertSwagger2, convertSwagger2Component };
@@ -1,3 +1,8 @@
+import { resolveRef } from './utils.js';
+import { convertSchema, createSchemaContext } from './schema-converter.js';
+import { createOperationFilter, printFilterSummary } from './operation-filter.js';
+import { addPagination } from './pagination-detector.js';
+
 /**
  * Generate a clean tool ID from an API path and method
  */
@@ -8,62 +13,510 @@ function generateToolId(method, path) {
     return `${method.toUpperCase()}-${cleanPath}`.replace(/[^a-zA-Z0-9-]/g, '-');
 }
 
-function getComponentPath(fullPath) {
-    return fullPath.split("/").pop()
+// Header parameters the OpenAPI spec says must be ignored; they are set by the runtime
+const RESERVED_HEADERS = ['accept', 'content-type', 'authorization'];
+
+/**
+ * Environment variable that supplies a default for a header parameter
+ */
+function headerEnvVar(headerName) {
+    return `HEADER_${headerName.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * Environment variable that fills a server variable
+ */
+function serverVariableEnvVar(variableName) {
+    return `API_SERVER_${variableName.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * Resolve a relative server URL against the URL the spec was loaded from, if it was loaded over http(s)
+ */
+function absoluteServerUrl(url, specLocation) {
+    if (!/^https?:\/\//i.test(specLocation || '') || /^[^/?#]*:\/\//.test(url)) return url;
+    // URL percent-encodes the braces of {variables}; put them back for the runtime to fill in
+    return new URL(url, specLocation).toString().replace(/%7B/gi, '{').replace(/%7D/gi, '}');
+}
+
+/**
+ * Keep what the runtime needs from a servers array and attach the env var of each variable
+ */
+function normalizeServers(servers, specLocation) {
+    return (servers || []).filter(server => server && server.url).map(server => {
+        const normalized = { url: absoluteServerUrl(server.url, specLocation) };
+        if (server.name) normalized.name = server.name;
+        if (server.description) normalized.description = server.description;
+        if (server.variables && Object.keys(server.variables).length > 0) {
+            normalized.variables = {};
+            for (const [name, variable] of Object.entries(server.variables)) {
+                normalized.variables[name] = {
+                    default: String(variable.default ?? ''),
+                    env: serverVariableEnvVar(name),
+                };
+                if (Array.isArray(variable.enum) && variable.enum.length > 0) {
+                    normalized.variables[name].enum = variable.enum.map(String);
+                }
+                if (variable.description) normalized.variables[name].description = variable.description;
+            }
+        }
+        return normalized;
+    });
+}
+
+// Request body media types in order of preference
+const PREFERRED_MEDIA_TYPES = [
+    'application/json',
+    'multipart/form-data',
+    'application/x-www-form-urlencoded',
+    'text/plain',
+    'application/octet-stream'
+];
+
+function isJsonMediaType(mediaType) {
+    return mediaType === 'application/json' || /^application\/[^;]*\+json/.test(mediaType) || mediaType === '*/*';
+}
+
+function isTextMediaType(mediaType) {
+    return mediaType.startsWith('text/') || /[/+]xml$/.test(mediaType);
+}
+
+/**
+ * Pick the request body media type the generated server will send
+ */
+function selectMediaType(content) {
+    const mediaTypes = Object.keys(content || {});
+    return PREFERRED_MEDIA_TYPES.find(type => mediaTypes.includes(type))
+        || mediaTypes.find(isJsonMediaType)
+        || mediaTypes[0];
 }
 
-function generateSchemabyComponent(spec, componentPath) {
-    const component = spec.components?.schemas[componentPath]
-    let toolInputSchema = {
-        type: 'object',
-        properties: {},
-        required: [],
+/**
+ * Whether a converted schema describes raw file content (or a list of files)
+ */
+function isFileSchema(schema) {
+    if (schema.type === 'array' && schema.items) {
+        return isFileSchema(schema.items);
     }
-    for (const [propName, propSchema] of Object.entries(component.properties)) {
-        if (propSchema["$ref"]) {
-            toolInputSchema.properties[propName] = generateSchemabyComponent(spec, getComponentPath(propSchema["$ref"]))
-            continue
+    return schema.format === 'binary' || (schema.contentMediaType !== undefined && schema.contentEncoding === undefined);
+}
+
+/**
+ * Schema of an argument that takes file content: base64 text, a resource URI,
+ * or an object carrying either plus an optional filename and MIME type
+ */
+function fileArgumentSchema(schema) {
+    const fileSchema = {
+        anyOf: [
+            { type: 'string', description: 'Base64-encoded content, or a resource URI (data:, file://, http(s)://)' },
+            {
+                type: 'object',
+                properties: {
+                    data: { type: 'string', description: 'Base64-encoded content' },
+                    uri: { type: 'string', description: 'Resource URI (data:, file://, http(s)://)' },
+                    filename: { type: 'string' },
+                    mimeType: { type: 'string' }
+                }
+            }
+        ]
+    };
+    return schema.type === 'array' ? { type: 'array', items: fileSchema } : fileSchema;
+}
+
+/**
+ * Merge path-level and operation parameters, resolving $refs.
+ * An operation parameter overrides a path-level one with the same name + location.
+ */
+function collectParameters(spec, pathItem, operation) {
+    const merged = new Map();
+    for (const paramOrRef of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+        const param = paramOrRef?.$ref ? resolveRef(spec, paramOrRef.$ref) : paramOrRef;
+        if (!param || !param.name || !param.in) {
+            console.warn(`Warning: Skipping invalid parameter ${JSON.stringify(paramOrRef)}`);
+            continue;
         }
+        merged.set(`${param.in}:${param.name}`, param);
+    }
+    return Array.from(merged.values());
+}
 
-        toolInputSchema.properties[propName] = {
-            type: propSchema.type || 'string',
-            description: propSchema.description || `${propName} property`,
-        };
-        if (propSchema.type == 'array') {
-            let items = {}
-            if (propSchema.items['$ref']) {
-                items = generateSchemabyComponent(spec, getComponentPath(propSchema.items['$ref']))
-            } else {
-                items.type = propSchema.items.type
+/**
+ * Add an argument to the tool's inputSchema and record where it goes in the request.
+ * Names already taken by an earlier argument get a `<location>_` prefix
+ * (then a numeric suffix), so e.g. a body field `id` next to the path
+ * parameter `id` becomes `body_id`.
+ *
+ * argumentMap entries are `{ in, name }`; a body entry without a name
+ * carries the whole request body. `preferredName` (from `x-mcp-name`) replaces
+ * the request name as the argument name.
+ */
+function addArgument(tool, location, name, schema, required, preferredName = null) {
+    const properties = tool.inputSchema.properties;
+    let argName = preferredName || name || location;
+    if (argName in properties) {
+        const base = `${location}_${preferredName || name || location}`;
+        argName = base;
+        for (let i = 2; argName in properties; i++) {
+            argName = `${base}_${i}`;
+        }
+        console.warn(`Warning: ${location} argument "${preferredName || name || location}" of ${tool.name} collides with an existing argument, renamed to "${argName}"`);
+    }
+
+    properties[argName] = schema;
+    tool.argumentMap[argName] = name ? { in: location, name } : { in: location };
+    if (required) {
+        tool.inputSchema.required.push(argName);
+    }
+    return argName;
+}
+
+/**
+ * Resolve a response object that may be a $ref
+ */
+function resolveResponse(spec, response) {
+    return response?.$ref ? resolveRef(spec, response.$ref) : response || {};
+}
+
+/**
+ * The JSON schema of a response, if it has one
+ */
+function jsonResponseSchema(response) {
+    const mediaType = Object.keys(response.content || {}).find(isJsonMediaType);
+    return mediaType ? response.content[mediaType].schema : undefined;
+}
+
+/**
+ * The first 2xx response of an operation, resolved
+ */
+function successResponse(spec, operation) {
+    const responses = operation.responses || {};
+    const successCode = Object.keys(responses).filter(code => /^2/.test(code)).sort()[0];
+    return successCode ? resolveResponse(spec, responses[successCode]) : null;
+}
+
+/**
+ * Copy of a schema without its `required` lists, at any depth
+ */
+function withoutRequired(schema) {
+    if (Array.isArray(schema)) return schema.map(withoutRequired);
+    if (!schema || typeof schema !== 'object') return schema;
+    const copy = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'required' && Array.isArray(value)) continue;
+        copy[key] = withoutRequired(value);
+    }
+    return copy;
+}
+
+/**
+ * Turn the first 2xx JSON response into the tool's outputSchema.
+ * MCP output schemas must be objects, so other results are wrapped as `{ result }`
+ * and the tool is marked `outputWrapped` for the runtime. Results may be shortened, projected
+ * or not JSON at all, so the schema requires no field: `{}` always conforms.
+ */
+function addOutputSchema(spec, tool, operation) {
+    const response = successResponse(spec, operation);
+    const schema = response && jsonResponseSchema(response);
+    if (!schema) return;
+
+    const context = createSchemaContext(tool.name, 'output');
+    const converted = convertSchema(spec, schema, context);
+    if (converted.type === 'object') {
+        // Copy: a recursive root schema is also the object stored under $defs
+        tool.outputSchema = { ...converted };
+    } else {
+        tool.outputSchema = { type: 'object', properties: { result: converted } };
+        tool.outputWrapped = true;
+    }
+    if (Object.keys(context.defs).length > 0) {
+        tool.outputSchema.$defs = context.defs;
+    }
+    tool.outputSchema = withoutRequired(tool.outputSchema);
+}
+
+// Arguments added to tools with JSON responses; they shape the result and are not sent to the API
+const PROJECTION_ARGUMENTS = {
+    fields: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Only return these response fields, as dot paths (e.g. ["id", "owner.login"]); arrays are projected item by item'
+    },
+    filter: {
+        type: 'string',
+        description: 'JMESPath expression applied to the response before it is returned, e.g. "items[?state==\'open\'].{id: id, title: title}"'
+    }
+};
+
+// Longest list of response fields named in a tool description
+const MAX_DESCRIBED_FIELDS = 30;
+
+/**
+ * Add the optional `fields` and `filter` arguments that shrink the response, and list the
+ * top-level response fields in the description. Only tools with a JSON response schema get them.
+ * Arguments whose name is taken by a request argument get a `response_` prefix; `tool.projection`
+ * records the names in use.
+ *
+ * Projected results are returned as structuredContent too; the outputSchema gains a `filtered`
+ * property for the results of a filter, which can take any shape.
+ */
+function addProjection(tool, response) {
+    if (!response || !jsonResponseSchema(response) || !tool.outputSchema) return;
+
+    const outputProperties = tool.outputSchema.properties || {};
+    const names = Object.keys(PROJECTION_ARGUMENTS);
+    if ('filtered' in outputProperties) {
+        console.warn(`Warning: the response of ${tool.name} has a "filtered" field, the filter argument is not added`);
+        names.splice(names.indexOf('filter'), 1);
+    }
+
+    tool.projection = {};
+    for (const name of names) {
+        const schema = PROJECTION_ARGUMENTS[name];
+        let argName = name;
+        if (argName in tool.inputSchema.properties) {
+            const base = `response_${name}`;
+            argName = base;
+            for (let i = 2; argName in tool.inputSchema.properties; i++) {
+                argName = `${base}_${i}`;
             }
-            toolInputSchema.properties[propName].items = items
+            console.warn(`Warning: ${tool.name} already has a "${name}" argument, the response ${name} argument is named "${argName}"`);
+        }
+        tool.inputSchema.properties[argName] = schema;
+        tool.projection[name] = argName;
+    }
+
+    const schema = tool.outputWrapped ? outputProperties.result : tool.outputSchema;
+    const fields = Object.keys((schema?.type === 'array' ? schema.items : schema)?.properties || {});
+    if (fields.length > 0) {
+        const listed = fields.slice(0, MAX_DESCRIBED_FIELDS).join(', ');
+        tool.description += `\n\nResponse fields: ${listed}${fields.length > MAX_DESCRIBED_FIELDS ? `, ... (${fields.length} in total)` : ''}`;
+    }
+
+    if (tool.projection.filter) {
+        tool.outputSchema.properties = {
+            ...tool.outputSchema.properties,
+            filtered: { description: 'Result of the filter argument, in place of the response' }
+        };
+    }
+}
+
+/**
+ * Record the 4xx/5xx/default responses: listed in the tool description, and their
+ * schema names kept in `tool.errorResponses` so failed calls can name the matching one
+ */
+function addErrorResponses(spec, tool, operation) {
+    const lines = [];
+    const errorResponses = {};
+    for (const [code, responseOrRef] of Object.entries(operation.responses || {})) {
+        if (!/^[45]/.test(code) && code !== 'default') continue;
+        const response = resolveResponse(spec, responseOrRef);
+        const schemaRef = jsonResponseSchema(response)?.$ref;
+        const schemaName = schemaRef ? schemaRef.split('/').pop() : null;
+        if (schemaName) {
+            errorResponses[code] = schemaName;
+        }
+        lines.push(`- ${code}: ${response.description || 'Error'}${schemaName ? ` (${schemaName})` : ''}`);
+    }
+
+    if (lines.length > 0) {
+        tool.description += `\n\nError responses:\n${lines.join('\n')}`;
+    }
+    if (Object.keys(errorResponses).length > 0) {
+        tool.errorResponses = errorResponses;
+    }
+}
+
+// Keys of x-mcp-request-policy that override the global request policy for one operation
+const REQUEST_POLICY_KEYS = ['timeoutMs', 'retries', 'retryBaseDelayMs', 'retryMaxDelayMs', 'rateLimit', 'burst'];
+
+/**
+ * Read the per-operation request policy from `x-mcp-request-policy`, keeping only numeric settings
+ */
+function operationRequestPolicy(operation, toolName) {
+    const extension = operation['x-mcp-request-policy'];
+    if (!extension || typeof extension !== 'object') return null;
+
+    const policy = {};
+    for (const [key, value] of Object.entries(extension)) {
+        if (!REQUEST_POLICY_KEYS.includes(key) || typeof value !== 'number' || value < 0) {
+            console.warn(`Warning: Ignoring x-mcp-request-policy.${key} of ${toolName}, expected a non-negative number for one of: ${REQUEST_POLICY_KEYS.join(', ')}`);
+            continue;
+        }
+        policy[key] = value;
+    }
+    return Object.keys(policy).length > 0 ? policy : null;
+}
+
+// HTTP methods that never change server state / can be repeated with the same effect (RFC 9110)
+const SAFE_METHODS = ['get', 'head', 'options'];
+const IDEMPOTENT_METHODS = [...SAFE_METHODS, 'put', 'delete'];
+
+/**
+ * Derive MCP tool annotations from the HTTP method and operation metadata.
+ * `x-mcp-annotations` on the operation overrides any derived hint.
+ */
+function deriveAnnotations(method, operation, label) {
+    const lowerMethod = method.toLowerCase();
+    const readOnly = SAFE_METHODS.includes(lowerMethod);
+    return {
+        title: operation.summary || label,
+        readOnlyHint: readOnly,
+        // POST usually creates; PUT, PATCH and DELETE overwrite or remove existing data
+        destructiveHint: !readOnly && lowerMethod !== 'post',
+        idempotentHint: IDEMPOTENT_METHODS.includes(lowerMethod),
+        // Every tool calls out to the remote API
+        openWorldHint: true,
+        ...operation['x-mcp-annotations']
+    };
+}
+
+/**
+ * Apply the operation's `x-mcp-hidden-params` and `x-mcp-default-args` extensions
+ * (plus the per-parameter `x-mcp-hidden`/`x-mcp-default` collected in `hidden`/`defaults`).
+ *
+ * Defaults are recorded in `tool.defaultArgs` and used when the model omits the argument;
+ * visible arguments also advertise them as the schema `default`. Hidden arguments are
+ * removed from the inputSchema and always take their default value.
+ */
+function applyArgumentExtensions(tool, operation, hidden, defaults) {
+    // Extensions may name either the argument or the original request field
+    const findArgument = name => (name in tool.argumentMap
+        ? name
+        : Object.keys(tool.argumentMap).find(argName => tool.argumentMap[argName].name === name));
+
+    const defaultArgs = { ...defaults };
+    for (const [name, value] of Object.entries(operation['x-mcp-default-args'] || {})) {
+        const argName = findArgument(name);
+        if (!argName) {
+            console.warn(`Warning: x-mcp-default-args of ${tool.name} names unknown argument "${name}"`);
+            continue;
+        }
+        defaultArgs[argName] = value;
+    }
+
+    const hiddenArgs = new Set(hidden);
+    for (const name of operation['x-mcp-hidden-params'] || []) {
+        const argName = findArgument(name);
+        if (!argName) {
+            console.warn(`Warning: x-mcp-hidden-params of ${tool.name} names unknown argument "${name}"`);
+            continue;
         }
+        hiddenArgs.add(argName);
+    }
 
-        // Add enum values if present
-        if (propSchema.enum) {
-            toolInputSchema.properties[propName].enum = propSchema.enum;
+    for (const argName of hiddenArgs) {
+        const schema = tool.inputSchema.properties[argName];
+        if (!(argName in defaultArgs) && schema.default !== undefined) {
+            defaultArgs[argName] = schema.default;
+        }
+        if (!(argName in defaultArgs) && tool.inputSchema.required.includes(argName) && !tool.argumentMap[argName].env) {
+            console.warn(`Warning: Hidden argument "${argName}" of ${tool.name} is required but has no default value`);
         }
+        delete tool.inputSchema.properties[argName];
+        tool.inputSchema.required = tool.inputSchema.required.filter(name => name !== argName);
+        tool.argumentMap[argName].hidden = true;
     }
 
-    // Add required properties
-    if (component.required && Array.isArray(component.required)) {
-        toolInputSchema.required.push(...component.required);
+    for (const [argName, value] of Object.entries(defaultArgs)) {
+        if (!hiddenArgs.has(argName)) {
+            tool.inputSchema.properties[argName] = { ...tool.inputSchema.properties[argName], default: value };
+        }
     }
+    if (Object.keys(defaultArgs).length > 0) {
+        tool.defaultArgs = defaultArgs;
+    }
+}
+
+// MCP clients accept tool names made of these characters, at most 64 of them
+const TOOL_NAME_PATTERN = /[^a-zA-Z0-9_-]/g;
+const DEFAULT_TOOL_NAME_MAX_LENGTH = 64;
+const TOOL_NAME_CASES = ['preserve', 'snake', 'camel'];
 
-    return toolInputSchema
+/**
+ * Split an operationId/summary into words, breaking on punctuation, spaces and camelCase humps
+ */
+function splitWords(text) {
+    return text
+        .replace(/['\u2019]/g, '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .split(/[^a-zA-Z0-9]+/)
+        .filter(Boolean);
 }
+
 /**
- * Generate tool definitions from OpenAPI paths
+ * Turn an operation label into an MCP-compliant tool name using the casing strategy
  */
-function generateTools(spec, verbose = false) {
+function formatToolName(label, nameCase = 'preserve') {
+    let name;
+    if (nameCase === 'snake') {
+        name = splitWords(label).map(word => word.toLowerCase()).join('_');
+    } else if (nameCase === 'camel') {
+        name = splitWords(label)
+            .map((word, i) => i === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+            .join('');
+    } else {
+        name = label.replace(/['\u2019]/g, '').replace(TOOL_NAME_PATTERN, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+    }
+    return name || 'tool';
+}
+
+/**
+ * Give a tool a compliant name that no earlier tool uses.
+ * Duplicates get a stable numeric suffix in spec order (`_2`, `_3`, ...).
+ */
+function assignToolName(label, usedNames, { toolNameCase = 'preserve', toolNameMaxLength = DEFAULT_TOOL_NAME_MAX_LENGTH } = {}) {
+    const base = formatToolName(label, toolNameCase).slice(0, toolNameMaxLength);
+    let name = base;
+    for (let i = 2; usedNames.has(name); i++) {
+        const suffix = `_${i}`;
+        name = base.slice(0, toolNameMaxLength - suffix.length) + suffix;
+    }
+    usedNames.add(name);
+    return name;
+}
+
+/**
+ * Print which operation became which tool name
+ */
+function printToolNameTable(rows) {
+    if (rows.length === 0) return;
+    const width = Math.max(...rows.map(row => row.operation.length));
+    console.log('Tool names:');
+    for (const { operation, name } of rows) {
+        console.log(`  ${operation.padEnd(width)}  ->  ${name}`);
+    }
+}
+
+/**
+ * Generate tool definitions from OpenAPI paths.
+ * `options.toolNameCase` is 'preserve' (default), 'snake' or 'camel';
+ * `options.toolNameMaxLength` caps tool name length (default 64);
+ * `options.filter` selects operations (see createOperationFilter).
+ * `options.openApiSpec` is where the spec was loaded from; relative server URLs resolve against it.
+ *
+ * Operations may override the generated metadata with `x-mcp-name`, `x-mcp-description`,
+ * `x-mcp-hidden-params`, `x-mcp-default-args` and `x-mcp-annotations`; parameters with
+ * `x-mcp-name`, `x-mcp-description`, `x-mcp-hidden` and `x-mcp-default`.
+ */
+function generateTools(spec, verbose = false, options = {}) {
     const toolList = [];
     const toolMapObj = {};
+    const usedNames = new Set();
+    const nameRows = [];
+    const isDropped = createOperationFilter(options.filter);
+    const dropped = [];
+
+    if (options.toolNameCase && !TOOL_NAME_CASES.includes(options.toolNameCase)) {
+        throw new Error(`Unknown tool name case "${options.toolNameCase}", expected one of: ${TOOL_NAME_CASES.join(', ')}`);
+    }
     const securitySchemes = spec.components?.securitySchemes || {};
+    const servers = normalizeServers(spec.servers, options.openApiSpec);
 
     // Check if spec.paths exists
     if (!spec.paths) {
         console.warn("Warning: No paths found in OpenAPI specification");
-        return { tools: toolList, toolMap: toolMapObj, securitySchemes };
+        return { tools: toolList, toolMap: toolMapObj, securitySchemes, servers };
     }
 
     console.log(`Processing ${Object.keys(spec.paths).length} API paths...`);
@@ -79,19 +532,28 @@ function generateTools(spec, verbose = false) {
             if (!validMethods.includes(method.toLowerCase())) continue;
 
             const op = operation;
+            const dropReason = isDropped(path, method, op, pathItem);
+            if (dropReason) {
+                dropped.push({ operation: `${method.toUpperCase()} ${path}`, reason: dropReason });
+                continue;
+            }
+
             // Get a unique ID for this tool
             const toolId = generateToolId(method, path);
             // Create a friendly name
-            const toolName = op.operationId || op.summary || `${method.toUpperCase()} ${path}`;
+            const label = op['x-mcp-name'] || op.operationId || op.summary || `${method.toUpperCase()} ${path}`;
+            const toolName = assignToolName(label, usedNames, options);
+            nameRows.push({ operation: `${method.toUpperCase()} ${path}${label === op.operationId ? ` (${label})` : ''}`, name: toolName });
 
             if (verbose) {
                 console.log(`Processing endpoint: ${method.toUpperCase()} ${path} -> Tool ID: ${toolId}`);
             }
+            const schemaContext = createSchemaContext(toolName);
 
             const tool = {
                 id: toolId,
                 name: toolName,
-                description: op.description || `Make a ${method.toUpperCase()} request to ${path}`,
+                description: op['x-mcp-description'] || op.description || `Make a ${method.toUpperCase()} request to ${path}`,
                 method: method.toUpperCase(),
                 path: path,
                 inputSchema: {
@@ -99,83 +561,140 @@ function generateTools(spec, verbose = false) {
                     properties: {},
                     required: []
                 },
-                security: op.security || spec.security || [] // Get security requirements for the operation or spec
+                security: op.security || spec.security || [], // Get security requirements for the operation or spec
+                annotations: deriveAnnotations(method, op, label),
+                argumentMap: {}
             };
+            // Operation-level servers win over path-level ones; both replace the spec's servers
+            const operationServers = normalizeServers(op.servers || pathItem.servers, options.openApiSpec);
+            if (operationServers.length > 0) {
+                tool.servers = operationServers;
+            }
+            const requestPolicy = operationRequestPolicy(op, toolName);
+            if (requestPolicy) {
+                tool.requestPolicy = requestPolicy;
+            }
+            const hiddenArgs = [];
+            const argDefaults = {};
 
-            // Add parameters from operation
-            if (op.parameters) {
-                for (const param of op.parameters) {
-                    if ('name' in param && 'in' in param) {
-                        const paramSchema = param.schema;
-
-                        // Add parameter to the schema
-                        tool.inputSchema.properties[param.name] = {
-                            type: paramSchema?.type || 'string',
-                            description: param.description || `${param.name} parameter`,
-                        };
-
-                        if (paramSchema?.type == 'array') {
-                            let items = {}
-                            if (paramSchema?.items['$ref']) {
-                                items = generateSchemabyComponent(spec, getComponentPath(paramSchema?.items['$ref']))
-                            } else {
-                                items.type = paramSchema?.items.type
-                            }
-                            tool.inputSchema.properties[param.name].items = items
-                        }
+            // Add path-level and operation parameters
+            for (const param of collectParameters(spec, pathItem, op)) {
+                if (param.in === 'header' && RESERVED_HEADERS.includes(param.name.toLowerCase())) {
+                    if (verbose) {
+                        console.log(`Ignoring reserved header parameter ${param.name} of ${toolName}`);
+                    }
+                    continue;
+                }
 
-                        // Add enum values if present
-                        if (paramSchema?.enum) {
-                            tool.inputSchema.properties[param.name].enum = paramSchema.enum;
-                        }
+                // Parameters carry either a schema or a single-entry content map
+                const paramSchema = param.schema || Object.values(param.content || {})[0]?.schema;
+                const converted = convertSchema(spec, paramSchema, schemaContext);
 
-                        // Add required flag if needed
-                        if (param.required) {
-                            tool.inputSchema.required.push(param.name);
-                        }
-                    }
+                const argSchema = {
+                    ...converted,
+                    description: param['x-mcp-description'] || param.description || converted.description || `${param.name} parameter`,
+                };
+                if (param.deprecated) {
+                    argSchema.deprecated = true;
+                }
+                if (param.example !== undefined && converted.examples === undefined) {
+                    argSchema.examples = [param.example];
+                }
+
+                // Path parameters are always required
+                const argName = addArgument(tool, param.in, param.name, argSchema, param.required || param.in === 'path', param['x-mcp-name']);
+                if (param['x-mcp-hidden'] === true) {
+                    hiddenArgs.push(argName);
+                }
+                if (param['x-mcp-default'] !== undefined) {
+                    argDefaults[argName] = param['x-mcp-default'];
+                }
+                if (param.in === 'header') {
+                    // Header values can also come from the environment when the model omits them
+                    tool.argumentMap[argName].env = headerEnvVar(param.name);
+                }
+
+                // Serialization rules; the runtime falls back to the per-location defaults
+                const target = tool.argumentMap[argName];
+                if (param.style) target.style = param.style;
+                if (param.explode !== undefined) target.explode = param.explode;
+                if (param.allowReserved) target.allowReserved = true;
+                if (!param.schema && param.content) target.content = Object.keys(param.content)[0];
+            }
+
+            // Path templates must always be fillable, even if the spec forgot to declare them
+            const declaredPathParams = Object.values(tool.argumentMap).filter(target => target.in === 'path').map(target => target.name);
+            for (const [, name] of path.matchAll(/{([^}]+)}/g)) {
+                if (!declaredPathParams.includes(name)) {
+                    console.warn(`Warning: Path parameter {${name}} of ${toolName} is not declared, adding it as a string argument`);
+                    addArgument(tool, 'path', name, { type: 'string', description: `${name} parameter` }, true);
                 }
             }
 
             // Handle request body for POST/PUT/PATCH methods
             if (['post', 'put', 'patch'].includes(method.toLowerCase()) && op.requestBody) {
-                const contentType = op.requestBody.content?.['application/json'];
+                const requestBody = op.requestBody.$ref ? resolveRef(spec, op.requestBody.$ref) : op.requestBody;
+                const mediaType = selectMediaType(requestBody.content);
 
-                if (contentType && contentType.schema) {
-                    const bodySchema = contentType.schema;
+                if (mediaType) {
+                    const mediaTypeObject = requestBody.content[mediaType];
+                    const bodySchema = convertSchema(spec, mediaTypeObject.schema || {}, schemaContext);
+                    const flatten = mediaType === 'multipart/form-data'
+                        || mediaType === 'application/x-www-form-urlencoded'
+                        || isJsonMediaType(mediaType);
 
-                    // Add body properties to the tool's input schema
-                    if (bodySchema.properties) {
+                    tool.requestBody = { mediaType };
+                    if (mediaTypeObject.encoding) {
+                        tool.requestBody.encoding = mediaTypeObject.encoding;
+                    }
+
+                    if (flatten && bodySchema.properties && !bodySchema.oneOf && !bodySchema.anyOf) {
+                        // Object bodies are flattened: each property becomes an argument
                         for (const [propName, propSchema] of Object.entries(bodySchema.properties)) {
-                            tool.inputSchema.properties[propName] = {
-                                type: propSchema.type || 'string',
+                            const file = mediaType === 'multipart/form-data' && isFileSchema(propSchema);
+                            const argName = addArgument(tool, 'body', propName, {
+                                ...(file ? fileArgumentSchema(propSchema) : propSchema),
                                 description: propSchema.description || `${propName} property`,
-                            };
-
-                            // Add enum values if present
-                            if (propSchema.enum) {
-                                tool.inputSchema.properties[propName].enum = propSchema.enum;
+                            }, Boolean(bodySchema.required?.includes(propName)));
+                            if (file) {
+                                tool.argumentMap[argName].file = true;
                             }
                         }
-
-                        // Add required properties
-                        if (bodySchema.required && Array.isArray(bodySchema.required)) {
-                            tool.inputSchema.required.push(...bodySchema.required);
+                    } else {
+                        // Arrays, primitives, polymorphic, text and binary bodies are passed as a single argument
+                        const file = !flatten && !isTextMediaType(mediaType);
+                        const argName = addArgument(tool, 'body', null, {
+                            ...(file ? fileArgumentSchema(bodySchema) : bodySchema),
+                            description: requestBody.description || bodySchema.description || 'Request body',
+                        }, Boolean(requestBody.required));
+                        if (file) {
+                            tool.argumentMap[argName].file = true;
                         }
                     }
-                    else if (bodySchema?.["$ref"]) {
-                        tool.inputSchema = {...tool.inputSchema, ...generateSchemabyComponent(spec, getComponentPath(bodySchema?.["$ref"]))}
-                    }
                 }
             }
 
+            applyArgumentExtensions(tool, op, hiddenArgs, argDefaults);
+            addOutputSchema(spec, tool, op);
+            const response = successResponse(spec, op);
+            addPagination(spec, tool, response, response && jsonResponseSchema(response), op['x-mcp-pagination']);
+            addProjection(tool, response);
+            addErrorResponses(spec, tool, op);
+
+            // Recursive components are referenced from the inputSchema via #/$defs/<name>
+            if (Object.keys(schemaContext.defs).length > 0) {
+                tool.inputSchema.$defs = schemaContext.defs;
+            }
+
             toolList.push(tool);
             toolMapObj[toolId] = tool;
         }
     }
 
+    printFilterSummary(toolList.length, dropped, verbose);
+    printToolNameTable(nameRows);
     console.log(`Generated ${toolList.length} MCP tools from the OpenAPI spec`);
-    return { tools: toolList, toolMap: toolMapObj, securitySchemes }; // return securitySchemes as well
+    return { tools: toolList, toolMap: toolMapObj, securitySchemes, servers }; // return securitySchemes and servers as well
 }
 
 export { generateToolId, generateTools };
\ No newline at end of file
@@ -26,6 +26,14 @@ async function generateServerConf(absolutePath){
     return config
 }
 
+// HTTP transports are reached by URL instead of a spawned command
+function generateHttpServerConf(transport, port){
+  const endpoint = transport === 'sse' ? '/sse' : '/mcp';
+  return {
+    url: `http://localhost:${port}${endpoint}`
+  };
+}
+
 async function generateDockerServerConf(dockerImage){
   const config = {
     command: "docker",
@@ -35,4 +43,71 @@ async function generateDockerServerConf(dockerImage){
   return config
 }
 
-export { generateServerConf, generateDockerServerConf };
\ No newline at end of file
+/**
+ * Split a JSON Pointer (RFC 6901) into its unescaped segments
+ */
+function parseJsonPointer(pointer) {
+  let decoded = pointer.replace(/^#/, '');
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch (e) {
+    // Not percent-encoded, use as-is
+  }
+  if (decoded === '' || decoded === '/') {
+    return decoded === '/' ? [''] : [];
+  }
+  return decoded.replace(/^\//, '').split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Build a JSON Pointer from path segments
+ */
+function toJsonPointer(segments) {
+  return '#' + segments.map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+/**
+ * Look up a JSON Pointer inside a document, returning undefined if any segment is missing
+ */
+function resolvePointer(document, pointer) {
+  let current = document;
+  for (const segment of parseJsonPointer(pointer)) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Resolve a local $ref (e.g. "#/components/parameters/id") against the spec.
+ * Local refs are followed until a non-ref object is reached.
+ */
+function resolveRef(spec, ref, seen = new Set()) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Cannot resolve non-local $ref "${ref}"; external refs are bundled by the loader`);
+  }
+  if (seen.has(ref)) {
+    throw new Error(`Circular $ref chain: ${[...seen, ref].join(' -> ')}`);
+  }
+  const target = resolvePointer(spec, ref);
+  if (target === undefined) {
+    throw new Error(`Unresolvable $ref "${ref}"`);
+  }
+  if (target && typeof target.$ref === 'string') {
+    seen.add(ref);
+    return resolveRef(spec, target.$ref, seen);
+  }
+  return target;
+}
+
+export {
+  generateServerConf,
+  generateDockerServerConf,
+  generateHttpServerConf,
+  parseJsonPointer,
+  toJsonPointer,
+  resolvePointer,
+  resolveRef
+};
\ No newline at end of file
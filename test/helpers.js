@@ -0,0 +1,45 @@
+import http from 'http';
+import axios from 'axios';
+
+/**
+ * Evaluate generated runtime code (the JavaScript flavor) and return the named functions and
+ * values it defines. `scope` supplies the globals the snippet expects besides axios.
+ */
+function loadRuntime(code, names, scope = {}) {
+    const params = ['axios', ...Object.keys(scope)];
+    const factory = new Function(...params, `${code}\nreturn { ${names.join(', ')} };`);
+    return factory(axios, ...Object.values(scope));
+}
+
+/**
+ * Start a local HTTP server; `handler(req, res, body)` answers each request.
+ * Resolves to { url, requests, close } where `requests` records every request received.
+ */
+async function startServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body, time: Date.now() });
+            handler(req, res, body);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+export { loadRuntime, startServer, sendJson };
@@ -0,0 +1,134 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateOAuthClient } from '../src/runtime-generator.js';
+import { loadRuntime, startServer, sendJson } from './helpers.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Lifetime in seconds of the tokens the endpoint hands out
+let expiresIn = 3600;
+let issued = 0;
+let tokenServer;
+
+before(async () => {
+    tokenServer = await startServer((req, res) => {
+        issued++;
+        sendJson(res, 200, { access_token: `token-${issued}`, token_type: 'Bearer', expires_in: expiresIn });
+    });
+});
+
+after(() => tokenServer.close());
+
+let client;
+let schemeName;
+let schemeCount = 0;
+
+beforeEach(() => {
+    // A fresh runtime and scheme per test, so cached tokens never leak between tests
+    client = loadRuntime(generateOAuthClient(false), ['getOAuthToken', 'invalidateOAuthToken']);
+    schemeName = `oauth${++schemeCount}`;
+    const prefix = schemeName.toUpperCase();
+    process.env[`${prefix}_CLIENT_ID`] = 'client';
+    process.env[`${prefix}_CLIENT_SECRET`] = 'secret';
+    process.env[`${prefix}_TOKEN_URL`] = `${tokenServer.url}/token`;
+    expiresIn = 3600;
+});
+
+const scheme = { type: 'oauth2', flows: { clientCredentials: { tokenUrl: '/token', scopes: {} } } };
+const requestsSoFar = () => tokenServer.requests.length;
+
+test('client credentials token is requested once and cached', async () => {
+    const start = requestsSoFar();
+    const first = await client.getOAuthToken(schemeName, scheme, ['read'], 'http://api.example.com');
+    const second = await client.getOAuthToken(schemeName, scheme, ['read'], 'http://api.example.com');
+
+    assert.equal(first, second);
+    assert.equal(requestsSoFar() - start, 1);
+    const request = tokenServer.requests.at(-1);
+    assert.equal(request.headers.authorization, `Basic ${Buffer.from('client:secret').toString('base64')}`);
+    assert.match(request.body, /grant_type=client_credentials/);
+    assert.match(request.body, /scope=read/);
+});
+
+test('concurrent calls share one token request', async () => {
+    const start = requestsSoFar();
+    const tokens = await Promise.all([1, 2, 3].map(() => client.getOAuthToken(schemeName, scheme, [], '')));
+
+    assert.equal(new Set(tokens).size, 1);
+    assert.equal(requestsSoFar() - start, 1);
+});
+
+test('each scope set gets its own token', async () => {
+    const start = requestsSoFar();
+    const read = await client.getOAuthToken(schemeName, scheme, ['read'], '');
+    const write = await client.getOAuthToken(schemeName, scheme, ['write'], '');
+
+    assert.notEqual(read, write);
+    assert.equal(requestsSoFar() - start, 2);
+});
+
+test('short-lived tokens are reused until halfway through their lifetime', async () => {
+    expiresIn = 1;
+    const start = requestsSoFar();
+    const first = await client.getOAuthToken(schemeName, scheme, [], '');
+    // A fixed 60 s margin would renew a 1 s token on every call
+    assert.equal(await client.getOAuthToken(schemeName, scheme, [], ''), first);
+    assert.equal(requestsSoFar() - start, 1);
+
+    await sleep(600);
+    assert.notEqual(await client.getOAuthToken(schemeName, scheme, [], ''), first);
+    assert.equal(requestsSoFar() - start, 2);
+});
+
+test('an invalidated token is fetched again', async () => {
+    const start = requestsSoFar();
+    const first = await client.getOAuthToken(schemeName, scheme, ['read'], '');
+
+    assert.equal(client.invalidateOAuthToken(schemeName, ['read']), true);
+    const second = await client.getOAuthToken(schemeName, scheme, ['read'], '');
+    assert.notEqual(second, first);
+    assert.equal(requestsSoFar() - start, 2);
+});
+
+test('a static access token is returned as-is and cannot be invalidated', async () => {
+    const prefix = schemeName.toUpperCase();
+    delete process.env[`${prefix}_CLIENT_ID`];
+    process.env[`${prefix}_ACCESS_TOKEN`] = 'static-token';
+    const start = requestsSoFar();
+
+    assert.equal(await client.getOAuthToken(schemeName, scheme, [], ''), 'static-token');
+    assert.equal(client.invalidateOAuthToken(schemeName, []), false);
+    assert.equal(requestsSoFar(), start);
+});
+
+test('a refresh token rotated by the endpoint replaces the configured one', async () => {
+    const prefix = schemeName.toUpperCase();
+    process.env[`${prefix}_REFRESH_TOKEN`] = 'refresh-1';
+    const rotating = await startServer((req, res) => {
+        sendJson(res, 200, { access_token: `access-${rotating.requests.length}`, refresh_token: `refresh-${rotating.requests.length + 1}`, expires_in: 3600 });
+    });
+    process.env[`${prefix}_TOKEN_URL`] = `${rotating.url}/token`;
+    try {
+        await client.getOAuthToken(schemeName, scheme, [], '');
+        client.invalidateOAuthToken(schemeName, []);
+        await client.getOAuthToken(schemeName, scheme, [], '');
+
+        assert.match(rotating.requests[0].body, /grant_type=refresh_token&refresh_token=refresh-1/);
+        assert.match(rotating.requests[1].body, /grant_type=refresh_token&refresh_token=refresh-2/);
+    } finally {
+        await rotating.close();
+    }
+});
+
+test('token endpoint errors name the endpoint and status', async () => {
+    const failing = await startServer((req, res) => sendJson(res, 400, { error: 'invalid_client' }));
+    process.env[`${schemeName.toUpperCase()}_TOKEN_URL`] = `${failing.url}/token`;
+    try {
+        await assert.rejects(
+            client.getOAuthToken(schemeName, scheme, [], ''),
+            /Token request to http:\/\/127\.0\.0\.1:\d+\/token failed with status 400: invalid_client/
+        );
+    } finally {
+        await failing.close();
+    }
+});
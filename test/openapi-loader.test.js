@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadOpenAPISpec } from '../src/openapi-loader.js';
+
+let dir;
+
+before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'openapi-loader-'));
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+async function writeSpec(name, content) {
+    const file = path.join(dir, name);
+    await writeFile(file, content);
+    return file;
+}
+
+const writeJson = (name, data) => writeSpec(name, JSON.stringify(data));
+
+test('fragments bundled from files a Swagger 2.0 root references are converted too', async () => {
+    await writeJson('defs.json', {
+        definitions: {
+            Pet: {
+                type: 'object',
+                properties: { name: { type: 'string', 'x-nullable': true }, photo: { type: 'file' }, owner: { $ref: '#/definitions/Owner' } }
+            },
+            Owner: { type: 'object', properties: { login: { type: 'string' } } }
+        },
+        parameters: {
+            Tags: { name: 'tags', in: 'query', type: 'array', items: { type: 'string' }, collectionFormat: 'pipes' }
+        }
+    });
+    const root = await writeJson('swagger.json', {
+        swagger: '2.0',
+        info: { title: 'Pets', version: '1' },
+        produces: ['application/json'],
+        paths: {
+            '/pets': {
+                get: {
+                    operationId: 'list_pets',
+                    parameters: [{ $ref: 'defs.json#/parameters/Tags' }],
+                    responses: { 200: { description: 'ok', schema: { $ref: 'defs.json#/definitions/Pet' } } }
+                }
+            }
+        }
+    });
+
+    const spec = await loadOpenAPISpec(root);
+    const { Pet, Owner } = spec.components.schemas;
+    assert.deepEqual(Pet.properties.name, { type: 'string', nullable: true });
+    assert.deepEqual(Pet.properties.photo, { type: 'string', format: 'binary' });
+    assert.equal(Pet.properties.owner.$ref, '#/components/schemas/Owner');
+    assert.deepEqual(Owner.properties.login, { type: 'string' });
+    assert.deepEqual(spec.components.parameters.Tags, {
+        name: 'tags', in: 'query', style: 'pipeDelimited', explode: false, schema: { type: 'array', items: { type: 'string' } }
+    });
+    assert.equal(spec.paths['/pets'].get.parameters[0].$ref, '#/components/parameters/Tags');
+});
+
+test('fragments bundled into an OpenAPI 3 root are kept as written', async () => {
+    await writeJson('schemas.json', { Item: { type: 'object', properties: { note: { type: 'string', 'x-nullable': true } } } });
+    const root = await writeJson('openapi.json', {
+        openapi: '3.0.3',
+        info: { title: 'Items', version: '1' },
+        paths: {
+            '/items': {
+                get: {
+                    operationId: 'list_items',
+                    responses: { 200: { description: 'ok', content: { 'application/json': { schema: { $ref: 'schemas.json#/Item' } } } } }
+                }
+            }
+        }
+    });
+
+    const spec = await loadOpenAPISpec(root);
+    assert.deepEqual(spec.components.schemas.Item.properties.note, { type: 'string', 'x-nullable': true });
+});
+
+test('YAML anchors may be reused many times', async () => {
+    const uses = Array.from({ length: 500 }, (_, index) => `  /items/${index}: { get: { operationId: get_${index}, responses: *ok } }`);
+    const root = await writeSpec('anchors.yaml', [
+        'openapi: 3.0.3',
+        'info: { title: Anchors, version: "1" }',
+        'x-responses: &ok { "200": { description: ok } }',
+        'paths:',
+        ...uses
+    ].join('\n'));
+
+    const spec = await loadOpenAPISpec(root);
+    assert.equal(Object.keys(spec.paths).length, 500);
+    assert.deepEqual(spec.paths['/items/499'].get.responses, { 200: { description: 'ok' } });
+});
+
+test('YAML alias bombs are rejected with the location of the alias', async () => {
+    const levels = ['x-a: &a [lol, lol, lol, lol, lol, lol, lol, lol, lol]'];
+    for (const [name, previous] of [['b', 'a'], ['c', 'b'], ['d', 'c'], ['e', 'd'], ['f', 'e']]) {
+        levels.push(`x-${name}: &${name} [${Array(9).fill(`*${previous}`).join(', ')}]`);
+    }
+    const root = await writeSpec('laughs.yaml', ['openapi: 3.0.3', 'info: { title: Laughs, version: "1" }', ...levels, 'paths: {}'].join('\n'));
+
+    await assert.rejects(loadOpenAPISpec(root), /Failed to parse YAML from .*laughs\.yaml:8:\d+: alias \*e expands the document past \d+ nodes/);
+});
@@ -0,0 +1,162 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { Ajv2020 } from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { generateResponseFormatter, generatePaginator } from '../src/runtime-generator.js';
+import { loadRuntime, startServer, sendJson } from './helpers.js';
+
+const { collectPages, nextLinkUrl, withQueryParam } = loadRuntime(
+    `${generatePaginator(false)}\n${generateResponseFormatter(false)}`,
+    ['collectPages', 'nextLinkUrl', 'withQueryParam'],
+    { Ajv2020, addFormats }
+);
+
+const ITEMS = Array.from({ length: 7 }, (_, index) => ({ id: index + 1 }));
+const slice = (start, size) => ITEMS.slice(start, start + size);
+
+let api;
+
+before(async () => {
+    api = await startServer((req, res) => {
+        const url = new URL(req.url, 'http://stub');
+        const query = name => url.searchParams.get(name);
+        switch (url.pathname) {
+            case '/link': {
+                // Two items per page; the Link header also lists a first page, which must be ignored
+                const page = Number(query('page') || 1);
+                const link = page * 2 < ITEMS.length ? `</link?page=1>; rel="first", </link?page=${page + 1}>; rel="next"` : '</link?page=1>; rel="first"';
+                return sendJson(res, 200, slice((page - 1) * 2, 2), { Link: link });
+            }
+            case '/cursor': {
+                const start = Number(query('cursor') || 0);
+                return sendJson(res, 200, { data: slice(start, 3), meta: { next_cursor: start + 3 < ITEMS.length ? String(start + 3) : null } });
+            }
+            case '/offset':
+                return sendJson(res, 200, { items: slice(Number(query('offset') || 0), Number(query('limit'))) });
+            case '/page':
+                return sendJson(res, 200, { results: slice((Number(query('page')) - 1) * 3, 3) });
+            case '/foreign':
+                return sendJson(res, 200, slice(0, 2), { Link: '<http://example.invalid/foreign?page=2>; rel="next"' });
+            case '/loop':
+                // Pages 1 and 2 point at each other
+                return sendJson(res, 200, slice(0, 2), { Link: `</loop?page=${query('page') === '2' ? 1 : 2}>; rel="next"` });
+            default:
+                return sendJson(res, 404, { error: 'not found' });
+        }
+    });
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+    api.requests.length = 0;
+});
+
+/**
+ * Fetch the first page the way the generated server does, then let collectPages follow the rest
+ */
+async function fetchPages(pagination, path, limits, args = {}) {
+    const tool = { name: 'list', pagination };
+    const config = { method: 'get', url: `${api.url}${path}`, responseType: 'arraybuffer' };
+    const send = requestConfig => axios.request(requestConfig);
+    return collectPages(tool, args, limits, config, await send(config), send);
+}
+
+const requestedUrls = () => api.requests.map(request => request.url);
+
+test('link pagination follows rel="next" until the last page', async () => {
+    const { data, pageInfo } = await fetchPages({ style: 'link', itemsPath: [] }, '/link', { maxPages: 10 });
+
+    assert.deepEqual(data, ITEMS);
+    assert.deepEqual(pageInfo, { pages: 4, items: 7, hasMore: false });
+    assert.deepEqual(requestedUrls(), ['/link', '/link?page=2', '/link?page=3', '/link?page=4']);
+});
+
+test('cursor pagination sends the cursor of each page with the next request', async () => {
+    const pagination = { style: 'cursor', itemsPath: ['data'], cursorPath: ['meta', 'next_cursor'], argument: 'cursor', param: 'cursor' };
+    const { data, pageInfo } = await fetchPages(pagination, '/cursor', { maxPages: 10 });
+
+    assert.deepEqual(data, { data: ITEMS, meta: { next_cursor: null } });
+    assert.deepEqual(pageInfo, { pages: 3, items: 7, hasMore: false });
+    assert.deepEqual(requestedUrls(), ['/cursor', '/cursor?cursor=3', '/cursor?cursor=6']);
+});
+
+test('offset pagination advances by the items received and stops at a short page', async () => {
+    const pagination = { style: 'offset', itemsPath: ['items'], argument: 'offset', param: 'offset', limitArgument: 'limit' };
+    const { data, pageInfo } = await fetchPages(pagination, '/offset?limit=3', { maxPages: 10 }, { limit: 3 });
+
+    assert.deepEqual(data, { items: ITEMS });
+    assert.deepEqual(pageInfo, { pages: 3, items: 7, hasMore: false });
+    assert.deepEqual(requestedUrls(), ['/offset?limit=3', '/offset?limit=3&offset=3', '/offset?limit=3&offset=6']);
+});
+
+test('page pagination counts from the requested page and stops at an empty page', async () => {
+    const pagination = { style: 'page', itemsPath: ['results'], argument: 'page', param: 'page' };
+    const { data, pageInfo } = await fetchPages(pagination, '/page?page=2', { maxPages: 10 }, { page: 2 });
+
+    assert.deepEqual(data, { results: ITEMS.slice(3) });
+    assert.deepEqual(pageInfo, { pages: 3, items: 4, hasMore: false });
+    assert.deepEqual(requestedUrls(), ['/page?page=2', '/page?page=3', '/page?page=4']);
+});
+
+test('maxPages stops early and reports that more pages exist', async () => {
+    const { data, pageInfo } = await fetchPages({ style: 'link', itemsPath: [] }, '/link', { maxPages: 2 });
+
+    assert.deepEqual(data, ITEMS.slice(0, 4));
+    assert.deepEqual(pageInfo, { pages: 2, items: 4, hasMore: true });
+    assert.equal(api.requests.length, 2);
+});
+
+test('without maxPages or maxItems only the first page is returned', async () => {
+    const { pageInfo } = await fetchPages({ style: 'link', itemsPath: [] }, '/link', {});
+
+    assert.deepEqual(pageInfo, { pages: 1, items: 2, hasMore: true });
+    assert.equal(api.requests.length, 1);
+});
+
+test('maxItems trims the merged items and drops the cursor that would skip the rest', async () => {
+    const pagination = { style: 'cursor', itemsPath: ['data'], cursorPath: ['meta', 'next_cursor'], param: 'cursor' };
+    const { data, pageInfo } = await fetchPages(pagination, '/cursor', { maxItems: 4 });
+
+    assert.deepEqual(data, { data: ITEMS.slice(0, 4), meta: {} });
+    assert.deepEqual(pageInfo, { pages: 2, items: 4, hasMore: true });
+    assert.equal(api.requests.length, 2);
+});
+
+test('maxItems that ends on a page boundary keeps the cursor', async () => {
+    const pagination = { style: 'cursor', itemsPath: ['data'], cursorPath: ['meta', 'next_cursor'], param: 'cursor' };
+    const { data, pageInfo } = await fetchPages(pagination, '/cursor', { maxItems: 6 });
+
+    assert.deepEqual(data, { data: ITEMS.slice(0, 6), meta: { next_cursor: '6' } });
+    assert.deepEqual(pageInfo, { pages: 2, items: 6, hasMore: true });
+});
+
+test('next links to another origin are not followed', async () => {
+    const { data, pageInfo } = await fetchPages({ style: 'link', itemsPath: [] }, '/foreign', { maxPages: 10 });
+
+    assert.deepEqual(data, ITEMS.slice(0, 2));
+    assert.deepEqual(pageInfo, { pages: 1, items: 2, hasMore: false });
+    assert.equal(api.requests.length, 1);
+});
+
+test('next links back to a page already fetched end the loop', async () => {
+    const { pageInfo } = await fetchPages({ style: 'link', itemsPath: [] }, '/loop?page=1', { maxPages: 10 });
+
+    assert.deepEqual(pageInfo, { pages: 2, items: 4, hasMore: false });
+    assert.deepEqual(requestedUrls(), ['/loop?page=1', '/loop?page=2']);
+});
+
+test('nextLinkUrl picks the rel="next" entry of a Link header', () => {
+    assert.equal(nextLinkUrl('</items?page=1>; rel="prev", </items?a=1,2&page=3>; rel="next"'), '/items?a=1,2&page=3');
+    assert.equal(nextLinkUrl('<https://api.example.com/items?page=2>; rel=next'), 'https://api.example.com/items?page=2');
+    assert.equal(nextLinkUrl('</items?page=9>; rel="next last"'), '/items?page=9');
+    assert.equal(nextLinkUrl('</items?page=1>; rel="first"'), undefined);
+    assert.equal(nextLinkUrl(undefined), undefined);
+});
+
+test('withQueryParam replaces or adds one parameter and keeps the rest as serialized', () => {
+    assert.equal(withQueryParam('/items?a=1&cursor=old&tags=x%2Cy', 'cursor', 'n x'), '/items?a=1&tags=x%2Cy&cursor=n%20x');
+    assert.equal(withQueryParam('/items', 'page', 2), '/items?page=2');
+    assert.equal(withQueryParam('/items?', 'page', 2), '/items?page=2');
+});
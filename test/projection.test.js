@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jmespath from 'jmespath';
+import { Ajv2020 } from 'ajv/dist/2020.js';
+import { generateTools } from '../src/tool-generator.js';
+import { generateProjection } from '../src/runtime-generator.js';
+import { loadRuntime } from './helpers.js';
+
+const Item = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: { id: { type: 'integer' }, name: { type: 'string' }, owner: { type: 'object', required: ['login'], properties: { login: { type: 'string' } } } }
+};
+
+const spec = {
+    openapi: '3.0.3',
+    info: { title: 'Projection', version: '1' },
+    paths: {
+        '/items': {
+            get: {
+                operationId: 'list_items',
+                responses: {
+                    200: {
+                        description: 'ok',
+                        content: { 'application/json': { schema: { type: 'object', required: ['total', 'items'], properties: { total: { type: 'integer' }, items: { type: 'array', items: Item } } } } }
+                    }
+                }
+            }
+        },
+        '/tree': {
+            get: {
+                operationId: 'get_tree',
+                responses: { 200: { description: 'ok', content: { 'application/json': { schema: { type: 'array', items: Item } } } } }
+            }
+        },
+        '/ping': {
+            get: { operationId: 'ping', responses: { 204: { description: 'no content' } } }
+        }
+    }
+};
+
+const items = [
+    { id: 1, name: 'a', owner: { login: 'x' } },
+    { id: 2, name: 'b', owner: { login: 'y' } }
+];
+
+const { tools } = generateTools(structuredClone(spec));
+const toolNamed = name => tools.find(tool => tool.name === name);
+const { applyProjection } = loadRuntime(generateProjection(false), ['applyProjection'], { jmespath });
+
+/**
+ * Project a result and wrap it the way the generated server builds structuredContent
+ */
+function structuredContent(tool, result, projection) {
+    const projected = applyProjection(result, projection);
+    if (projection.filter) return { filtered: projected };
+    return tool.outputWrapped ? { result: projected } : projected;
+}
+
+function assertConforms(tool, value) {
+    const validate = new Ajv2020({ strict: false }).compile(tool.outputSchema);
+    assert.ok(validate(value), JSON.stringify(validate.errors));
+}
+
+test('fields projections conform to the outputSchema, nested objects included', () => {
+    const tool = toolNamed('list_items');
+    assertConforms(tool, structuredContent(tool, { total: 2, items }, { fields: ['items.id'] }));
+    assertConforms(tool, structuredContent(tool, { total: 2, items }, { fields: ['items.owner'] }));
+    assertConforms(tool, structuredContent(tool, { total: 2, items }, { fields: ['total'] }));
+});
+
+test('fields projections of wrapped array results conform to the outputSchema', () => {
+    const tool = toolNamed('get_tree');
+    assert.equal(tool.outputWrapped, true);
+    assertConforms(tool, structuredContent(tool, items, { fields: ['name'] }));
+});
+
+test('filter results conform to the outputSchema under "filtered"', () => {
+    for (const [name, result] of [['list_items', { total: 2, items }], ['get_tree', items]]) {
+        const tool = toolNamed(name);
+        assertConforms(tool, structuredContent(tool, result, { filter: name === 'get_tree' ? '[0].owner.login' : 'items[].id' }));
+    }
+});
+
+test('unprojected results still conform, and the tool description lists only response fields', () => {
+    const tool = toolNamed('list_items');
+    assertConforms(tool, { total: 2, items });
+    assert.match(tool.description, /Response fields: total, items$/);
+    assert.match(toolNamed('get_tree').description, /Response fields: id, name, owner$/);
+});
+
+test('only tools with a JSON response schema get the fields and filter arguments', () => {
+    const ping = toolNamed('ping');
+    assert.equal(ping.projection, undefined);
+    assert.equal('fields' in ping.inputSchema.properties, false);
+    assert.deepEqual(toolNamed('list_items').projection, { fields: 'fields', filter: 'filter' });
+});
@@ -0,0 +1,151 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { generateRequestPolicy } from '../src/runtime-generator.js';
+import { loadRuntime, startServer, sendJson } from './helpers.js';
+
+const REQUEST_POLICY = { timeoutMs: 5000, retries: 3, retryBaseDelayMs: 10, retryMaxDelayMs: 2000, rateLimit: 0, burst: 0 };
+const names = ['sendWithPolicy', 'retryDelay', 'parseRetryAfter', 'TokenBucket'];
+const load = (policy = REQUEST_POLICY) => loadRuntime(generateRequestPolicy(false), names, { REQUEST_POLICY: policy });
+
+const isStatus = status => error => error.response?.status === status;
+
+const getTool = { name: 'getThing', annotations: { idempotentHint: true } };
+const postTool = { name: 'createThing', annotations: { idempotentHint: false } };
+
+// Answers queued per test; once they run out the server answers 200
+let answers = [];
+let api;
+
+before(async () => {
+    api = await startServer((req, res) => {
+        const [status, headers] = answers.shift() || [200, {}];
+        sendJson(res, status, { status }, headers);
+    });
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+    answers = [];
+    api.requests.length = 0;
+});
+
+test('GETs are retried on retryable statuses until they succeed', async () => {
+    const { sendWithPolicy } = load();
+    answers = [[503], [502]];
+    const retries = [];
+
+    const response = await sendWithPolicy(getTool, { method: 'get', url: `${api.url}/things` }, message => retries.push(message));
+    assert.equal(response.status, 200);
+    assert.equal(api.requests.length, 3);
+    assert.equal(retries.length, 2);
+    assert.match(retries[0], /^getThing failed \(503\), retry 1 of 3 in \d+ ms$/);
+});
+
+test('GETs give up after the configured number of retries', async () => {
+    const { sendWithPolicy } = load();
+    answers = [[500], [500], [500], [500], [500]];
+
+    await assert.rejects(sendWithPolicy(getTool, { method: 'get', url: `${api.url}/things` }, () => {}), isStatus(500));
+    assert.equal(api.requests.length, 4);
+});
+
+test('POSTs are not retried on server errors', async () => {
+    const { sendWithPolicy } = load();
+    answers = [[503]];
+
+    await assert.rejects(sendWithPolicy(postTool, { method: 'post', url: `${api.url}/things`, data: {} }, () => {}), isStatus(503));
+    assert.equal(api.requests.length, 1);
+});
+
+test('POSTs are retried on 429, which the API did not process', async () => {
+    const { sendWithPolicy } = load();
+    answers = [[429]];
+
+    const response = await sendWithPolicy(postTool, { method: 'post', url: `${api.url}/things`, data: {} }, () => {});
+    assert.equal(response.status, 200);
+    assert.equal(api.requests.length, 2);
+});
+
+test('client errors other than 408 and 429 are not retried', async () => {
+    const { sendWithPolicy } = load();
+    answers = [[404]];
+
+    await assert.rejects(sendWithPolicy(getTool, { method: 'get', url: `${api.url}/things` }, () => {}), isStatus(404));
+    assert.equal(api.requests.length, 1);
+});
+
+test('Retry-After decides when to retry', async () => {
+    const { sendWithPolicy } = load();
+    answers = [[503, { 'Retry-After': '1' }]];
+    const retries = [];
+
+    await sendWithPolicy(getTool, { method: 'get', url: `${api.url}/things` }, message => retries.push(message));
+    assert.equal(api.requests.length, 2);
+    assert.match(retries[0], /in 1000 ms$/);
+    assert.ok(api.requests[1].time - api.requests[0].time >= 950);
+});
+
+test('a Retry-After beyond the backoff cap gives up instead of waiting', async () => {
+    const { sendWithPolicy } = load();
+    answers = [[429, { 'Retry-After': '60' }]];
+
+    await assert.rejects(sendWithPolicy(getTool, { method: 'get', url: `${api.url}/things` }, () => {}), isStatus(429));
+    assert.equal(api.requests.length, 1);
+});
+
+test('Retry-After accepts seconds and HTTP dates', () => {
+    const { parseRetryAfter } = load();
+
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter(undefined), undefined);
+    assert.equal(parseRetryAfter('soon'), undefined);
+    const inFiveSeconds = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+    assert.ok(inFiveSeconds > 3000 && inFiveSeconds <= 5000);
+    assert.equal(parseRetryAfter(new Date(Date.now() - 5000).toUTCString()), 0);
+});
+
+test('backoff grows exponentially up to the cap, with jitter below it', (t) => {
+    const { retryDelay } = load();
+    const policy = { ...REQUEST_POLICY, retries: 10, retryBaseDelayMs: 100, retryMaxDelayMs: 300 };
+    const error = new axios.AxiosError('socket hang up', 'ECONNRESET');
+
+    // Full jitter picks a delay between 0 and the exponential bound
+    t.mock.method(Math, 'random', () => 1);
+    assert.deepEqual([0, 1, 2, 3, 6].map(attempt => retryDelay(getTool, error, attempt, policy)), [100, 200, 300, 300, 300]);
+    Math.random.mock.mockImplementation(() => 0.5);
+    assert.equal(retryDelay(getTool, error, 1, policy), 100);
+
+    assert.equal(retryDelay(getTool, error, 10, policy), null);
+    assert.equal(retryDelay(getTool, new axios.AxiosError('bad', 'ERR_BAD_OPTION'), 0, policy), null);
+    assert.equal(retryDelay(getTool, new Error('not from axios'), 0, policy), null);
+});
+
+test('token bucket spaces requests beyond the burst by 1/rate', async () => {
+    const { TokenBucket } = load();
+    const bucket = new TokenBucket(20, 2);
+    const start = Date.now();
+    const times = [];
+    for (let i = 0; i < 5; i++) {
+        await bucket.take();
+        times.push(Date.now() - start);
+    }
+
+    // The burst goes out at once, then one request every 50 ms
+    assert.ok(times[1] < 25, `burst took ${times[1]} ms`);
+    for (let i = 2; i < times.length; i++) {
+        assert.ok(times[i] - times[i - 1] >= 45, `gap ${i} was ${times[i] - times[i - 1]} ms`);
+    }
+});
+
+test('the global rate limit applies to every request sent', async () => {
+    const { sendWithPolicy } = load({ ...REQUEST_POLICY, rateLimit: 10, burst: 1 });
+    for (let i = 0; i < 3; i++) {
+        await sendWithPolicy(postTool, { method: 'post', url: `${api.url}/things`, data: {} }, () => {});
+    }
+
+    // Two waits of 100 ms, less some slack for the time each request spends in flight
+    const [first, , third] = api.requests.map(request => request.time);
+    assert.ok(third - first >= 170, `3 requests took ${third - first} ms`);
+});
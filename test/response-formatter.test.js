@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ajv2020 } from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { generateTools } from '../src/tool-generator.js';
+import { generateResponseFormatter, generatePaginator } from '../src/runtime-generator.js';
+import { loadRuntime } from './helpers.js';
+
+const json = schema => ({ 200: { description: 'ok', content: { 'application/json': { schema } } } });
+const spec = {
+    openapi: '3.0.3',
+    info: { title: 'Results', version: '1' },
+    paths: {
+        '/items': {
+            get: {
+                operationId: 'list_items',
+                responses: json({ type: 'object', required: ['items'], properties: { total: { type: 'integer' }, items: { type: 'array', items: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } } } } })
+            },
+            put: {
+                operationId: 'update_item',
+                responses: json({ type: 'object', required: ['id', 'note'], properties: { id: { type: 'integer' }, note: { type: 'string' } } })
+            }
+        },
+        '/ids': {
+            get: { operationId: 'list_ids', responses: json({ type: 'array', items: { type: 'integer' } }) }
+        }
+    }
+};
+
+const { tools } = generateTools(structuredClone(spec));
+const toolNamed = name => tools.find(tool => tool.name === name);
+
+/**
+ * Load the formatter with a response budget, as the generated server reads it from the environment
+ */
+function loadFormatter(maxResponseBytes) {
+    process.env.MAX_RESPONSE_BYTES = String(maxResponseBytes);
+    try {
+        const code = `${generatePaginator(false)}\n${generateResponseFormatter(false)}`;
+        return loadRuntime(code, ['formatResultContent', 'structuredResult'], { Ajv2020, addFormats });
+    } finally {
+        delete process.env.MAX_RESPONSE_BYTES;
+    }
+}
+
+function assertConforms(tool, value) {
+    const validate = new Ajv2020({ strict: false }).compile(tool.outputSchema);
+    assert.ok(validate(value), JSON.stringify(validate.errors));
+}
+
+const items = Array.from({ length: 50 }, (_, id) => ({ id }));
+
+test('results within the budget are returned whole', () => {
+    const { formatResultContent, structuredResult } = loadFormatter(100000);
+    const tool = toolNamed('list_items');
+    const { content, structured } = formatResultContent({ total: 50, items }, 'application/json', 'http://api/items');
+
+    assert.equal(content[0].text, JSON.stringify({ total: 50, items }));
+    assert.deepEqual(structuredResult(tool, structured, false), { total: 50, items });
+});
+
+test('JSON over the budget drops list items from both the text and structuredContent', () => {
+    const { formatResultContent, structuredResult } = loadFormatter(200);
+    const tool = toolNamed('list_items');
+    const { content, structured } = formatResultContent({ total: 50, items }, 'application/json', 'http://api/items');
+
+    assert.match(content[0].text, /\[truncated: showing \d+ of 50 items;/);
+    assert.ok(structured.items.length > 0 && structured.items.length < 50);
+    assert.ok(Buffer.byteLength(JSON.stringify(structured)) <= 200);
+    const structuredContent = structuredResult(tool, structured, false);
+    assert.deepEqual(structuredContent, structured);
+    assertConforms(tool, structuredContent);
+});
+
+test('wrapped array results are shortened the same way', () => {
+    const { formatResultContent, structuredResult } = loadFormatter(40);
+    const tool = toolNamed('list_ids');
+    const { structured } = formatResultContent(items.map(item => item.id), 'application/json', 'http://api/ids');
+
+    const structuredContent = structuredResult(tool, structured, false);
+    assert.ok(structuredContent.result.length < 50);
+    assertConforms(tool, structuredContent);
+});
+
+test('results that cannot be shortened still return conforming structuredContent', () => {
+    const { formatResultContent, structuredResult } = loadFormatter(20);
+    const tool = toolNamed('update_item');
+    const { content, structured } = formatResultContent({ id: 1, note: 'a note far longer than the budget allows' }, 'application/json', 'http://api/items');
+
+    assert.match(content[0].text, /\[truncated: showing 20 of \d+ bytes;/);
+    assert.equal(structured, undefined);
+    assert.deepEqual(structuredResult(tool, structured, false), {});
+    assertConforms(tool, {});
+});
+
+test('bodies that do not match the outputSchema become an empty object', () => {
+    const { formatResultContent, structuredResult } = loadFormatter(100000);
+    const cases = [
+        ['update_item', '', 'application/json'],
+        ['update_item', 'plain text', 'text/plain'],
+        ['update_item', Buffer.from([1, 2, 3]), 'application/octet-stream'],
+        ['list_ids', 'not a list', 'text/plain'],
+        ['list_items', { items: 'not a list' }, 'application/json']
+    ];
+    for (const [name, body, contentType] of cases) {
+        const tool = toolNamed(name);
+        const { structured } = formatResultContent(body, contentType, 'http://api/x');
+        assert.deepEqual(structuredResult(tool, structured, false), {}, `${name} with ${contentType}`);
+    }
+});
+
+test('filter results go under "filtered"', () => {
+    const { structuredResult } = loadFormatter(100000);
+    const tool = toolNamed('list_items');
+    const structuredContent = structuredResult(tool, [1, 2], true);
+
+    assert.deepEqual(structuredContent, { filtered: [1, 2] });
+    assertConforms(tool, structuredContent);
+});
@@ -0,0 +1,42 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateServerSelector } from '../src/runtime-generator.js';
+import { loadRuntime } from './helpers.js';
+
+const { serverBaseUrl } = loadRuntime(generateServerSelector(false), ['serverBaseUrl'], { TOOLS: [] });
+
+const globalServers = [{ url: 'https://api.example.com/v1' }];
+const relativeServers = [{ url: '/api/v3' }];
+const uploadServers = [{ url: 'https://uploads.example.com/{region}', variables: { region: { default: 'us', env: 'API_SERVER_REGION' } } }];
+
+afterEach(() => {
+    delete process.env.API_BASE_URL;
+    delete process.env.API_SERVER_REGION;
+});
+
+test('servers are used as declared without API_BASE_URL', () => {
+    assert.equal(serverBaseUrl(globalServers, undefined), 'https://api.example.com/v1');
+    process.env.API_SERVER_REGION = 'eu';
+    assert.equal(serverBaseUrl(uploadServers, undefined, false), 'https://uploads.example.com/eu');
+});
+
+test('API_BASE_URL replaces absolute global servers', () => {
+    process.env.API_BASE_URL = 'http://localhost:8080';
+    assert.equal(serverBaseUrl(globalServers, undefined), 'http://localhost:8080');
+});
+
+test('API_BASE_URL completes relative servers, keeping their path', () => {
+    process.env.API_BASE_URL = 'https://petstore.example.com';
+    assert.equal(serverBaseUrl(relativeServers, undefined), 'https://petstore.example.com/api/v3');
+    assert.equal(serverBaseUrl([{ url: '/files' }], undefined, false), 'https://petstore.example.com/files');
+});
+
+test('absolute operation-level servers are kept when API_BASE_URL is set', () => {
+    process.env.API_BASE_URL = 'https://petstore.example.com';
+    assert.equal(serverBaseUrl(uploadServers, undefined, false), 'https://uploads.example.com/us');
+});
+
+test('relative servers without API_BASE_URL are reported', () => {
+    assert.throws(() => serverBaseUrl(relativeServers, undefined), /Server URL "\/api\/v3" is relative; set API_BASE_URL/);
+    assert.throws(() => serverBaseUrl([], undefined), /No server URL in the OpenAPI spec; set API_BASE_URL/);
+});